@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+// ACP conformance runner
+//
+// Merchant mode (default) drives an ACP merchant through the scenarios in
+// conformance/suite.js: validation errors, status transitions, cancellation,
+// idempotency, payment token limits and orders.
+//
+//   node conformance.js [--target <url>] [--api-key <key>] [--merchant-id <id>]
+//                       [--item <id>] [--grep <pattern>] [--spec-only]
+//                       [--report json|junit] [--output <file>] [--list]
+//
+// Mirror mode checks an agent client instead. With --agent the command runs
+// against the sandbox through a recording proxy (ACP_BASE_URL, ACP_API_KEY,
+// ACP_API_VERSION and ACP_MERCHANT_ID are set for it) and its recorded
+// exchanges are checked afterwards; without --agent the sandbox's existing
+// request log is checked and authentication can't be.
+//
+//   node conformance.js --mirror [--agent "<command>"] [--agent-timeout <seconds>]
+//                       [--session <checkout_session_id>] [--api-version <version>]
+//                       [--target <url>] ...
+//
+// Without --target a sandbox is started on a free port with in-memory
+// storage, or the driver STORAGE_DRIVER names. Exits with 1 when any
+// scenario or check fails.
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { loadMerchants } = require('./lib/merchants');
+const { loadSchemas } = require('./lib/schemas');
+const { startSandbox } = require('./lib/sandboxServer');
+const { createClient } = require('./conformance/client');
+const { API_VERSION, SCENARIOS, runSuite } = require('./conformance/suite');
+const { runMirrorChecks } = require('./conformance/mirror');
+const { startRecordingProxy } = require('./conformance/proxy');
+const { summarize, toJson, toJunit } = require('./conformance/report');
+
+const DEFAULTS = {
+  apiKey: 'test_token_12345',
+  item: 'item_123',
+  agentTimeout: 300
+};
+const REPORTERS = {
+  json: { render: toJson, file: 'conformance-report.json' },
+  junit: { render: toJunit, file: 'conformance-report.xml' }
+};
+const ICONS = { passed: '✅', failed: '❌', skipped: '⏭️ ' };
+
+const parseArgs = (argv) => {
+  const options = {
+    target: null,
+    apiKey: DEFAULTS.apiKey,
+    apiVersion: API_VERSION,
+    merchantId: null,
+    item: DEFAULTS.item,
+    grep: null,
+    specOnly: false,
+    report: null,
+    output: null,
+    list: false,
+    mirror: false,
+    agent: null,
+    agentTimeout: DEFAULTS.agentTimeout,
+    session: null
+  };
+  const values = {
+    '--target': 'target',
+    '--api-key': 'apiKey',
+    '--api-version': 'apiVersion',
+    '--merchant-id': 'merchantId',
+    '--item': 'item',
+    '--grep': 'grep',
+    '--report': 'report',
+    '--output': 'output',
+    '--agent': 'agent',
+    '--agent-timeout': 'agentTimeout',
+    '--session': 'session'
+  };
+  const flags = { '--spec-only': 'specOnly', '--list': 'list', '--mirror': 'mirror' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (values[argv[i]]) options[values[argv[i]]] = argv[++i];
+    else if (flags[argv[i]]) options[flags[argv[i]]] = true;
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+
+  if (options.report && !REPORTERS[options.report]) {
+    throw new Error(`--report must be one of: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+  if (!options.mirror && options.apiVersion !== API_VERSION) {
+    throw new Error(`Merchant scenarios are written for API version ${API_VERSION}; --api-version only applies to --mirror`);
+  }
+  if (!(Number(options.agentTimeout) > 0)) {
+    throw new Error('--agent-timeout must be a positive number of seconds');
+  }
+  return options;
+};
+
+// Allowances must name the merchant behind the API key
+const merchantIdFor = (options) => {
+  if (options.merchantId) return options.merchantId;
+  const merchants = loadMerchants(process.env.MERCHANTS_FILE || path.join(__dirname, 'data', 'merchants.json'));
+  const merchant = merchants.find(entry => entry.api_keys.includes(options.apiKey));
+  return merchant ? merchant.id : merchants[0].id;
+};
+
+const printResult = (result) => {
+  console.log(`${ICONS[result.status]} ${result.group} › ${result.name}`);
+  if (result.status !== 'passed' && result.message) {
+    console.log(`   ${result.message}`);
+  }
+  if (result.status === 'failed' && result.response) {
+    console.log(`   ↳ ${result.response.status} ${JSON.stringify(result.response.body).slice(0, 300)}`);
+  }
+};
+
+// Run the agent command until it exits or runs out of time
+const runAgent = (command, env, timeoutMs) => new Promise((resolve) => {
+  const startedAt = Date.now();
+  const child = spawn(command, { shell: true, stdio: 'inherit', env: { ...process.env, ...env } });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    child.kill();
+  }, timeoutMs);
+
+  const finish = (message) => {
+    clearTimeout(timer);
+    resolve({
+      group: 'agent',
+      name: 'agent command finishes successfully',
+      status: message ? 'failed' : 'passed',
+      duration_ms: Date.now() - startedAt,
+      message,
+      response: null
+    });
+  };
+
+  child.on('error', error => finish(`Could not start the agent: ${error.message}`));
+  child.on('exit', (code, signal) => {
+    if (timedOut) return finish(`Agent did not finish within ${timeoutMs / 1000}s`);
+    finish(code === 0 ? null : `Agent exited with ${code === null ? signal : `code ${code}`}`);
+  });
+});
+
+const readLog = async (makeRequest, sessionId) => {
+  const response = sessionId
+    ? await makeRequest('GET', `/sandbox/sessions/${sessionId}/timeline`)
+    : await makeRequest('GET', '/sandbox/logs');
+  if (response.status !== 200) {
+    throw new Error(`Could not read the request log: ${response.status} ${JSON.stringify(response.data)}`);
+  }
+  return sessionId ? response.data.entries : response.data.data;
+};
+
+const runMirror = async (options, makeRequest, target, merchantId) => {
+  const results = [];
+  let requests = null;
+
+  if (options.agent) {
+    const cleared = await makeRequest('DELETE', '/sandbox/logs');
+    if (cleared.status !== 200) {
+      throw new Error(`Could not clear the request log: ${cleared.status} ${JSON.stringify(cleared.data)}`);
+    }
+
+    console.log(`🤖 Running agent: ${options.agent}\n`);
+    const proxy = await startRecordingProxy(target);
+    const agentResult = await runAgent(options.agent, {
+      ACP_BASE_URL: proxy.url,
+      ACP_API_KEY: options.apiKey,
+      ACP_API_VERSION: options.apiVersion,
+      ACP_MERCHANT_ID: merchantId
+    }, Number(options.agentTimeout) * 1000);
+    await proxy.stop();
+    requests = proxy.requests;
+    console.log('');
+    printResult(agentResult);
+    results.push(agentResult);
+  }
+
+  const entries = await readLog(makeRequest, options.session);
+  console.log(`📜 Checking ${entries.length} recorded exchanges\n`);
+  runMirrorChecks(entries, requests).forEach(result => {
+    printResult(result);
+    results.push(result);
+  });
+  return results;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.list) {
+    SCENARIOS.forEach(scenario => {
+      console.log(`${scenario.group} › ${scenario.name}${scenario.sandbox ? ' (sandbox)' : ''}`);
+    });
+    return;
+  }
+
+  const schemas = loadSchemas(path.join(__dirname, 'schemas'));
+  const merchantId = merchantIdFor(options);
+  const server = options.target ? { target: options.target.replace(/\/+$/, ''), stop: () => {} } : await startSandbox();
+  const { makeRequest } = createClient({ baseUrl: server.target, apiKey: options.apiKey, apiVersion: options.apiVersion });
+  const mode = options.mirror ? 'mirror' : 'merchant';
+
+  let results;
+  try {
+    if (options.mirror) {
+      console.log(`🪞 Checking agent behavior against ${server.target}\n`);
+      results = await runMirror(options, makeRequest, server.target, merchantId);
+    } else {
+      console.log(`🧪 Running ACP conformance scenarios against ${server.target}\n`);
+      results = await runSuite({
+        makeRequest,
+        schemas,
+        itemId: options.item,
+        merchantId,
+        grep: options.grep ? new RegExp(options.grep, 'i') : null,
+        specOnly: options.specOnly,
+        onResult: printResult
+      });
+    }
+  } finally {
+    server.stop();
+  }
+
+  const summary = summarize(results);
+  console.log(`\n📊 ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+
+  if (options.report) {
+    const reporter = REPORTERS[options.report];
+    const file = options.output || reporter.file;
+    fs.writeFileSync(file, reporter.render(results, {
+      mode,
+      target: server.target,
+      api_version: options.apiVersion,
+      generated_at: new Date().toISOString()
+    }));
+    console.log(`📝 ${options.report} report written to ${file}`);
+  }
+
+  process.exitCode = summary.failed === 0 ? 0 : 1;
+};
+
+main().catch(error => {
+  console.error('❌ Conformance run failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+const http = require('http');
+const https = require('https');
+
+// HTTP client for the conformance runner, grown from makeRequest in
+// test-api.js. It talks to any base URL (path prefixes included) and
+// resolves with the status, lower-cased headers and parsed JSON body, or
+// the raw text when the body is not JSON. Only network failures and
+// timeouts reject. Pass a header as null to leave a default header out.
+
+const createClient = ({ baseUrl, apiKey, apiVersion, timeoutMs = 30000 }) => {
+  const base = new URL(baseUrl);
+  const transport = base.protocol === 'https:' ? https : http;
+  const prefix = base.pathname.replace(/\/+$/, '');
+
+  const makeRequest = (method, path, data = null, headers = {}) => new Promise((resolve, reject) => {
+    const requestHeaders = {
+      'Authorization': `Bearer ${apiKey}`,
+      'API-Version': apiVersion,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...headers
+    };
+    Object.keys(requestHeaders).forEach(name => {
+      if (requestHeaders[name] === null) delete requestHeaders[name];
+    });
+
+    const options = {
+      hostname: base.hostname,
+      port: base.port || undefined,
+      path: `${prefix}${path}`,
+      method: method,
+      headers: requestHeaders,
+      timeout: timeoutMs
+    };
+
+    const req = transport.request(options, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        let parsed = body;
+        try {
+          parsed = body ? JSON.parse(body) : {};
+        } catch (error) {
+          // Not JSON, keep the text
+        }
+        resolve({ status: res.statusCode, headers: res.headers, data: parsed });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`${method} ${path} timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    // Strings are sent as-is so malformed bodies can be tested
+    if (data !== null) {
+      req.write(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+    req.end();
+  });
+
+  return { makeRequest };
+};
+
+module.exports = { createClient };
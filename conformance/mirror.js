@@ -0,0 +1,173 @@
+// Agent conformance checks over the sandbox request log.
+//
+// Mirror mode turns the suite around: an agent client runs against the
+// sandbox and these checks read what it sent from GET /sandbox/logs. Each
+// check looks at every recorded exchange and fails with the offending ones,
+// or is skipped when the agent never hit the situation it covers (no 429 to
+// back off from, no failed POST to retry). Requests rejected for a missing or
+// unknown API key are not logged, so authentication is checked against the
+// recording proxy's requests, which exist only when the runner started the
+// agent itself.
+
+const MAX_LISTED = 5;
+
+const describe = (entry) => `#${entry.sequence} ${entry.method} ${entry.path} → ${entry.response ? entry.response.status : '-'}`;
+
+const header = (entry, name) => entry.request.headers[name];
+const responseBody = (entry) => (entry.response && entry.response.body && typeof entry.response.body === 'object' ? entry.response.body : {});
+const isComplete = (entry) => /^\/checkout_sessions\/[^/]+\/complete$/.test(entry.path);
+const isDelegate = (entry) => entry.path === '/agentic_commerce/delegate_payment';
+const sessionTotal = (session) => {
+  const line = (session.totals || []).find(entry => entry.type === 'total');
+  return line ? line.amount : 0;
+};
+
+// Failing exchanges -> check result
+const verdict = (offending, explain) => {
+  if (offending.length === 0) return { status: 'passed', message: null, exchanges: [] };
+  const listed = offending.slice(0, MAX_LISTED).map(explain);
+  const more = offending.length > MAX_LISTED ? ` (and ${offending.length - MAX_LISTED} more)` : '';
+  return { status: 'failed', message: `${listed.join('; ')}${more}`, exchanges: offending.map(entry => entry.id) };
+};
+
+const notApplicable = (message) => ({ status: 'skipped', message, exchanges: [] });
+
+const CHECKS = [
+  {
+    name: 'authenticates every request',
+    proxied: true,
+    run: (entries, requests) => {
+      if (!requests) return notApplicable('Needs --agent: requests rejected before authentication never reach the request log');
+      if (requests.length === 0) return notApplicable('The agent sent no requests');
+      return verdict(
+        requests.filter(request => !request.authorization || request.response.status === 401),
+        request => `${describe(request)} (${request.authorization ? 'API key rejected' : 'no Authorization header'})`
+      );
+    }
+  },
+  {
+    name: 'sends a supported API-Version',
+    run: (entries) => verdict(
+      entries.filter(entry => !header(entry, 'api-version') || responseBody(entry).code === 'invalid_api_version'),
+      entry => `${describe(entry)} (API-Version: ${header(entry, 'api-version') || 'none'})`
+    )
+  },
+  {
+    name: 'sends an Idempotency-Key with every POST',
+    run: (entries) => verdict(entries.filter(entry => entry.method === 'POST' && !header(entry, 'idempotency-key')), describe)
+  },
+  {
+    name: 'sends requests that pass validation',
+    run: (entries) => verdict(
+      entries.filter(entry => entry.response.status === 400 && ['missing', 'invalid'].includes(responseBody(entry).code)),
+      entry => `${describe(entry)} (${responseBody(entry).code} ${responseBody(entry).param})`
+    )
+  },
+  {
+    name: 'only acts on sessions in a status that allows it',
+    run: (entries) => verdict(
+      entries.filter(entry => responseBody(entry).code === 'invalid_status'),
+      entry => `${describe(entry)} (${responseBody(entry).message})`
+    )
+  },
+  {
+    name: 'delegates allowances that cover the session total',
+    run: (entries) => {
+      // Latest session state the agent was shown before each delegate_payment
+      const sessions = new Map();
+      const delegations = [];
+      entries.forEach(entry => {
+        const body = responseBody(entry);
+        if (entry.path.startsWith('/checkout_sessions') && entry.response.status < 300 && body.id && body.totals) {
+          sessions.set(body.id, body);
+        }
+        if (isDelegate(entry) && entry.request.body && entry.request.body.allowance) {
+          delegations.push({ entry, session: sessions.get(entry.request.body.allowance.checkout_session_id) });
+        }
+      });
+
+      const checked = delegations.filter(({ session }) => session);
+      if (checked.length === 0) return notApplicable('No delegate_payment for a session in the log');
+
+      const offending = checked.filter(({ entry, session }) => {
+        const { allowance } = entry.request.body;
+        return allowance.currency !== session.currency || !(allowance.max_amount >= sessionTotal(session));
+      });
+      return verdict(offending.map(({ entry }) => entry), entry => {
+        const { allowance } = entry.request.body;
+        const session = sessions.get(allowance.checkout_session_id);
+        return `${describe(entry)} (allowance ${allowance.max_amount} ${allowance.currency}, session total ${sessionTotal(session)} ${session.currency})`;
+      });
+    }
+  },
+  {
+    name: 'completes with a valid, unused payment token',
+    run: (entries) => {
+      const completions = entries.filter(isComplete);
+      if (completions.length === 0) return notApplicable('No checkout was completed');
+      return verdict(
+        completions.filter(entry => responseBody(entry).param === '$.payment_data.token' && entry.response.status === 400),
+        entry => `${describe(entry)} (${responseBody(entry).code})`
+      );
+    }
+  },
+  {
+    name: 'retries failed POSTs with the same Idempotency-Key',
+    run: (entries) => {
+      const retries = [];
+      entries.forEach((entry, index) => {
+        if (entry.method !== 'POST' || !(entry.response.status >= 500 || entry.response.status === 429)) return;
+        const retry = entries.slice(index + 1).find(later => (
+          later.method === 'POST' && later.path === entry.path &&
+          JSON.stringify(later.request.body) === JSON.stringify(entry.request.body)
+        ));
+        if (retry) retries.push({ failed: entry, retry });
+      });
+
+      if (retries.length === 0) return notApplicable('No failed POST was retried');
+      return verdict(
+        retries.filter(({ failed, retry }) => header(failed, 'idempotency-key') !== header(retry, 'idempotency-key')).map(({ retry }) => retry),
+        entry => `${describe(entry)} (new Idempotency-Key ${header(entry, 'idempotency-key') || 'none'})`
+      );
+    }
+  },
+  {
+    name: 'waits for Retry-After before retrying a 429',
+    run: (entries) => {
+      const limited = entries.filter(entry => entry.response.status === 429 && entry.response.headers['retry-after']);
+      if (limited.length === 0) return notApplicable('No 429 with Retry-After was returned');
+
+      const offending = limited.filter(entry => {
+        const next = entries.find(later => later.sequence > entry.sequence && later.path === entry.path && later.method === entry.method);
+        if (!next) return false;
+        const waitedMs = Date.parse(next.received_at) - Date.parse(entry.received_at);
+        return waitedMs < Number(entry.response.headers['retry-after']) * 1000;
+      });
+      return verdict(offending, entry => `${describe(entry)} (Retry-After: ${entry.response.headers['retry-after']}s)`);
+    }
+  }
+];
+
+// Results in the same shape as the merchant suite's. `requests` are the
+// recording proxy's, or null when the agent was not run through it.
+const runMirrorChecks = (entries, requests = null) => {
+  const recorded = entries.filter(entry => entry.response);
+  const answered = requests && requests.filter(request => request.response);
+  return CHECKS.map(check => {
+    const startedAt = Date.now();
+    const outcome = check.proxied
+      ? check.run(recorded, answered)
+      : recorded.length === 0 ? notApplicable('The request log is empty') : check.run(recorded);
+    return {
+      group: 'agent',
+      name: check.name,
+      status: outcome.status,
+      duration_ms: Date.now() - startedAt,
+      message: outcome.message,
+      response: null,
+      exchanges: outcome.exchanges
+    };
+  });
+};
+
+module.exports = { runMirrorChecks };
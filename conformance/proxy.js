@@ -0,0 +1,64 @@
+const http = require('http');
+const https = require('https');
+
+// Recording proxy for mirror mode.
+//
+// Requests the sandbox rejects before authentication never reach its
+// request log, so an agent run by the conformance runner talks to this
+// proxy instead. Every request is forwarded to the target unchanged and
+// noted with its response status. Credentials are not kept, only whether
+// an Authorization header was sent.
+
+const startRecordingProxy = (target) => new Promise((resolve, reject) => {
+  const targetUrl = new URL(target);
+  const transport = targetUrl.protocol === 'https:' ? https : http;
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const record = {
+      id: `proxied_${requests.length + 1}`,
+      sequence: requests.length + 1,
+      method: req.method,
+      path: new URL(req.url, target).pathname,
+      authorization: Boolean(req.headers.authorization),
+      response: null
+    };
+    requests.push(record);
+
+    const upstream = transport.request({
+      protocol: targetUrl.protocol,
+      hostname: targetUrl.hostname,
+      port: targetUrl.port,
+      method: req.method,
+      path: req.url,
+      headers: { ...req.headers, host: targetUrl.host }
+    }, (upstreamRes) => {
+      record.response = { status: upstreamRes.statusCode };
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+
+    upstream.on('error', (error) => {
+      record.response = { status: 502 };
+      res.writeHead(502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        type: 'processing_error',
+        code: 'proxy_error',
+        message: `Could not reach ${target}: ${error.message}`
+      }));
+    });
+
+    req.pipe(upstream);
+  });
+
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      stop: () => new Promise(done => server.close(() => done()))
+    });
+  });
+});
+
+module.exports = { startRecordingProxy };
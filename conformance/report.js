@@ -0,0 +1,68 @@
+// Conformance reports: a JSON summary and JUnit XML for CI systems.
+//
+// Results come from the merchant suite or the mirror checks and share one
+// shape: group, name, status (passed, failed or skipped), duration_ms,
+// message and, for failures, the response that broke the expectation.
+
+const summarize = (results) => ({
+  total: results.length,
+  passed: results.filter(result => result.status === 'passed').length,
+  failed: results.filter(result => result.status === 'failed').length,
+  skipped: results.filter(result => result.status === 'skipped').length
+});
+
+const toJson = (results, meta) => `${JSON.stringify({ ...meta, summary: summarize(results), results }, null, 2)}\n`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+// One <testsuite> per group, one <testcase> per scenario or check
+const toJunit = (results, meta) => {
+  const groups = new Map();
+  results.forEach(result => {
+    if (!groups.has(result.group)) groups.set(result.group, []);
+    groups.get(result.group).push(result);
+  });
+
+  const totals = summarize(results);
+  const totalMs = results.reduce((sum, result) => sum + result.duration_ms, 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`ACP conformance (${meta.mode}) against ${meta.target}`)}" tests="${totals.total}" failures="${totals.failed}" skipped="${totals.skipped}" time="${seconds(totalMs)}">`
+  ];
+
+  groups.forEach((groupResults, group) => {
+    const counts = summarize(groupResults);
+    const groupMs = groupResults.reduce((sum, result) => sum + result.duration_ms, 0);
+    lines.push(`  <testsuite name="${escapeXml(group)}" tests="${counts.total}" failures="${counts.failed}" skipped="${counts.skipped}" time="${seconds(groupMs)}">`);
+
+    groupResults.forEach(result => {
+      const open = `    <testcase classname="acp.${escapeXml(group)}" name="${escapeXml(result.name)}" time="${seconds(result.duration_ms)}"`;
+      if (result.status === 'passed') {
+        lines.push(`${open}/>`);
+      } else if (result.status === 'skipped') {
+        lines.push(`${open}>`, `      <skipped message="${escapeXml(result.message || '')}"/>`, '    </testcase>');
+      } else {
+        const detail = result.response ? JSON.stringify(result.response, null, 2) : '';
+        lines.push(
+          `${open}>`,
+          `      <failure message="${escapeXml(result.message || '')}">${escapeXml(detail)}</failure>`,
+          '    </testcase>'
+        );
+      }
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = { summarize, toJson, toJunit };
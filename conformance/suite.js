@@ -0,0 +1,656 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Merchant conformance scenarios.
+//
+// Each scenario drives the merchant through one behavior an ACP agent relies
+// on: header and body validation, the checkout status machine, cancellation,
+// idempotent retries, delegated token limits and order lookup. Scenarios
+// build their own sessions, so they can run alone or in any order. The ones
+// marked `sandbox` depend on the sandbox's magic test cards or admin routes
+// and are left out when checking a merchant other than this sandbox.
+
+// Request bodies and the bundled schemas use this version's field names
+const API_VERSION = '2025-09-29';
+
+const SUCCEEDING_CARDS = ['4242424242424242', '5555555555554444', '378282246310005'];
+const DECLINED_CARD = '4000000000000002';
+
+const ADDRESS = {
+  name: 'Jane Smith',
+  line_one: '456 AI Boulevard',
+  city: 'San Francisco',
+  state: 'CA',
+  country: 'US',
+  postal_code: '94105'
+};
+
+const BUYER = {
+  first_name: 'Jane',
+  last_name: 'Smith',
+  email: 'jane@example.com'
+};
+
+// Assertions throw with the response attached so the report shows what came back
+const fail = (message, response) => {
+  const error = new Error(message);
+  error.response = response;
+  throw error;
+};
+
+const skip = (reason) => {
+  const error = new Error(reason);
+  error.skipped = true;
+  throw error;
+};
+
+const expectStatus = (response, status) => {
+  if (response.status !== status) {
+    fail(`Expected HTTP ${status}, got ${response.status}`, response);
+  }
+};
+
+const expectError = (response, status, { code, param } = {}) => {
+  expectStatus(response, status);
+  const body = response.data && typeof response.data === 'object' ? response.data : {};
+  if (code && body.code !== code) {
+    fail(`Expected error code ${code}, got ${body.code}`, response);
+  }
+  if (param && body.param !== param) {
+    fail(`Expected error param ${param}, got ${body.param}`, response);
+  }
+};
+
+const expectEqual = (actual, expected, what, response) => {
+  if (actual !== expected) {
+    fail(`Expected ${what} to be ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`, response);
+  }
+};
+
+const totalOf = (session, type = 'total') => {
+  const line = (session.totals || []).find(entry => entry.type === type);
+  return line ? line.amount : undefined;
+};
+
+// Helpers shared by the scenarios of one run
+const createContext = ({ makeRequest, schemas, itemId, merchantId }) => {
+  let cardIndex = 0;
+
+  // A fresh Idempotency-Key on every POST, as a well-behaved agent sends
+  const request = (method, path, data = null, headers = {}) => makeRequest(
+    method,
+    path,
+    data,
+    method === 'POST' ? { 'Idempotency-Key': `conformance_${uuidv4()}`, ...headers } : headers
+  );
+
+  const expectSchema = (response, docId, name) => {
+    const error = schemas.validate(docId, name, response.data);
+    if (error) {
+      fail(`Response does not match ${docId} ${name}: ${error.param} ${error.message}`, response);
+    }
+  };
+
+  const createSession = async (body = {}) => {
+    const response = await request('POST', '/checkout_sessions', { items: [{ id: itemId, quantity: 1 }], ...body });
+    expectStatus(response, 201);
+    expectSchema(response, 'agentic_checkout', 'CheckoutSession');
+    return response.data;
+  };
+
+  const readySession = async () => {
+    const session = await createSession({ fulfillment_address: ADDRESS });
+    expectEqual(session.status, 'ready_for_payment', 'status of a session created with an address');
+    return session;
+  };
+
+  const delegate = (session, { card, allowance = {} } = {}) => {
+    const number = card || SUCCEEDING_CARDS[cardIndex++ % SUCCEEDING_CARDS.length];
+    return request('POST', '/agentic_commerce/delegate_payment', {
+      payment_method: {
+        type: 'card',
+        card_number_type: 'fpan',
+        number,
+        exp_month: '12',
+        exp_year: String(new Date().getFullYear() + 3),
+        cvc: /^3[47]/.test(number) ? '1234' : '123',
+        display_card_funding_type: 'credit',
+        display_last4: number.slice(-4)
+      },
+      allowance: {
+        reason: 'one_time',
+        max_amount: totalOf(session),
+        currency: session.currency,
+        checkout_session_id: session.id,
+        merchant_id: merchantId,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        ...allowance
+      },
+      risk_signals: [{ type: 'card_testing', score: 5, action: 'authorized' }]
+    });
+  };
+
+  const tokenFor = async (session, options) => {
+    const response = await delegate(session, options);
+    expectStatus(response, 201);
+    return response.data.id;
+  };
+
+  const complete = (session, token, headers) => request('POST', `/checkout_sessions/${session.id}/complete`, {
+    buyer: BUYER,
+    payment_data: { token, provider: 'stripe' }
+  }, headers);
+
+  const completedSession = async () => {
+    const session = await readySession();
+    const response = await complete(session, await tokenFor(session));
+    expectStatus(response, 200);
+    return response.data;
+  };
+
+  return {
+    makeRequest,
+    request,
+    expectSchema,
+    createSession,
+    readySession,
+    completedSession,
+    delegate,
+    tokenFor,
+    complete
+  };
+};
+
+const SCENARIOS = [
+  // ----- Headers -----
+  {
+    group: 'headers',
+    name: 'rejects requests without Authorization',
+    run: async (ctx) => {
+      const response = await ctx.makeRequest('POST', '/checkout_sessions', { items: [] }, { 'Authorization': null });
+      expectStatus(response, 401);
+    }
+  },
+  {
+    group: 'headers',
+    name: 'rejects unknown API keys',
+    run: async (ctx) => {
+      const response = await ctx.makeRequest('GET', '/checkout_sessions/checkout_session_conformance', null, {
+        'Authorization': `Bearer conformance_${uuidv4()}`
+      });
+      expectStatus(response, 401);
+    }
+  },
+  {
+    group: 'headers',
+    name: 'rejects an unsupported API-Version',
+    run: async (ctx) => {
+      const response = await ctx.request('POST', '/checkout_sessions', { items: [] }, { 'API-Version': '1999-01-01' });
+      expectError(response, 400);
+    }
+  },
+  {
+    group: 'headers',
+    name: 'rejects a malformed JSON body',
+    run: async (ctx) => {
+      const response = await ctx.request('POST', '/checkout_sessions', '{"items": [');
+      expectError(response, 400);
+      ctx.expectSchema(response, 'agentic_checkout', 'Error');
+    }
+  },
+
+  // ----- Validation -----
+  {
+    group: 'validation',
+    name: 'rejects a create without items',
+    run: async (ctx) => {
+      expectError(await ctx.request('POST', '/checkout_sessions', {}), 400, { code: 'missing', param: '$.items' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects an empty items list',
+    run: async (ctx) => {
+      expectError(await ctx.request('POST', '/checkout_sessions', { items: [] }), 400, { code: 'invalid', param: '$.items' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects a zero quantity',
+    run: async (ctx, { itemId }) => {
+      const response = await ctx.request('POST', '/checkout_sessions', { items: [{ id: itemId, quantity: 0 }] });
+      expectError(response, 400, { code: 'invalid', param: '$.items[0].quantity' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects unknown items',
+    run: async (ctx) => {
+      const response = await ctx.request('POST', '/checkout_sessions', { items: [{ id: `conformance_${uuidv4()}`, quantity: 1 }] });
+      expectError(response, 400, { param: '$.items[0].id' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects unrecognized fields',
+    run: async (ctx, { itemId }) => {
+      const response = await ctx.request('POST', '/checkout_sessions', { items: [{ id: itemId, quantity: 1 }], coupon: 'FREE' });
+      expectError(response, 400, { param: '$.coupon' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects an invalid buyer email',
+    run: async (ctx, { itemId }) => {
+      const response = await ctx.request('POST', '/checkout_sessions', {
+        items: [{ id: itemId, quantity: 1 }],
+        buyer: { ...BUYER, email: 'not-an-email' }
+      });
+      expectError(response, 400, { code: 'invalid', param: '$.buyer.email' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects an address without a city',
+    run: async (ctx) => {
+      const session = await ctx.createSession();
+      const { city, ...address } = ADDRESS;
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}`, { fulfillment_address: address });
+      expectError(response, 400, { code: 'missing', param: '$.fulfillment_address.city' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects an unknown fulfillment option',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}`, { fulfillment_option_id: 'conformance_nope' });
+      expectError(response, 400, { code: 'invalid', param: '$.fulfillment_option_id' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects a complete without payment_data',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}/complete`, { buyer: BUYER });
+      expectError(response, 400, { code: 'missing', param: '$.payment_data' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'rejects an unsupported payment provider',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}/complete`, {
+        payment_data: { token: 'vt_conformance', provider: 'conformance_pay' }
+      });
+      expectError(response, 400, { code: 'invalid', param: '$.payment_data.provider' });
+    }
+  },
+  {
+    group: 'validation',
+    name: 'returns 404 for unknown sessions',
+    run: async (ctx) => {
+      const response = await ctx.request('GET', `/checkout_sessions/checkout_session_${uuidv4()}`);
+      expectError(response, 404);
+    }
+  },
+
+  // ----- Status transitions -----
+  {
+    group: 'status',
+    name: 'creates a session that is not ready without an address',
+    run: async (ctx) => {
+      const session = await ctx.createSession();
+      expectEqual(session.status, 'not_ready_for_payment', 'status');
+      expectEqual(session.line_items.length, 1, 'number of line items');
+      if (totalOf(session) === undefined) fail('Session has no total');
+    }
+  },
+  {
+    group: 'status',
+    name: 'becomes ready_for_payment once an address is added',
+    run: async (ctx) => {
+      const session = await ctx.createSession();
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}`, { fulfillment_address: ADDRESS });
+      expectStatus(response, 200);
+      ctx.expectSchema(response, 'agentic_checkout', 'CheckoutSession');
+      expectEqual(response.data.status, 'ready_for_payment', 'status', response);
+      if (response.data.fulfillment_options.length === 0) fail('No fulfillment options for a complete address', response);
+      if (!response.data.fulfillment_option_id) fail('No fulfillment option selected', response);
+    }
+  },
+  {
+    group: 'status',
+    name: 'reprices when another fulfillment option is selected',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const other = session.fulfillment_options.find(option => (
+        option.id !== session.fulfillment_option_id && option.total !== totalOf(session, 'fulfillment')
+      ));
+      if (!other) skip('Only one fulfillment price is offered for the address');
+
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}`, { fulfillment_option_id: other.id });
+      expectStatus(response, 200);
+      expectEqual(response.data.fulfillment_option_id, other.id, 'fulfillment_option_id', response);
+      if (totalOf(response.data) === totalOf(session)) fail('Total did not change with the fulfillment option', response);
+    }
+  },
+  {
+    group: 'status',
+    name: 'keeps an order discount off a free line',
+    sandbox: true,
+    run: async (ctx, { itemId }) => {
+      const catalog = await ctx.request('GET', '/sandbox/admin/catalog');
+      expectStatus(catalog, 200);
+      const [paid, free] = catalog.data.data.filter(product => product.id !== itemId && product.stock.available > 0);
+      if (!free) skip('The catalog has fewer than three products in stock');
+
+      const priced = await ctx.request('POST', `/sandbox/admin/catalog/${free.id}`, { price: 0 });
+      expectStatus(priced, 200);
+      try {
+        const session = await ctx.createSession({
+          items: [{ id: itemId, quantity: 1 }, { id: paid.id, quantity: 1 }, { id: free.id, quantity: 1 }],
+          discount_codes: ['TAKE5']
+        });
+        if (!totalOf(session, 'discount')) skip('Discount code TAKE5 is not offered');
+
+        session.line_items.forEach(lineItem => {
+          if (!Number.isInteger(lineItem.discount) || lineItem.discount > lineItem.base_amount) {
+            fail(`Line ${lineItem.item.id} has discount ${lineItem.discount} on ${lineItem.base_amount}`);
+          }
+        });
+        const freeLine = session.line_items.find(lineItem => lineItem.item.id === free.id);
+        expectEqual(freeLine.total, 0, 'total of the free line');
+      } finally {
+        await ctx.request('POST', `/sandbox/admin/catalog/${free.id}`, { price: free.price });
+      }
+    }
+  },
+  {
+    group: 'status',
+    name: 'retrieves the current session',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.request('GET', `/checkout_sessions/${session.id}`);
+      expectStatus(response, 200);
+      ctx.expectSchema(response, 'agentic_checkout', 'CheckoutSession');
+      expectEqual(response.data.id, session.id, 'id', response);
+      expectEqual(totalOf(response.data), totalOf(session), 'total', response);
+    }
+  },
+  {
+    group: 'status',
+    name: 'completes a ready session with an order',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.complete(session, await ctx.tokenFor(session));
+      expectStatus(response, 200);
+      ctx.expectSchema(response, 'agentic_checkout', 'CheckoutSession');
+      expectEqual(response.data.status, 'completed', 'status', response);
+      if (!response.data.order) fail('Completed session has no order', response);
+      expectEqual(response.data.order.checkout_session_id, session.id, 'order.checkout_session_id', response);
+    }
+  },
+  {
+    group: 'status',
+    name: 'refuses to complete a session that is not ready',
+    run: async (ctx) => {
+      const session = await ctx.createSession();
+      expectError(await ctx.complete(session, 'vt_conformance'), 405, { code: 'invalid_status' });
+    }
+  },
+  {
+    group: 'status',
+    name: 'refuses updates after completion',
+    run: async (ctx) => {
+      const session = await ctx.completedSession();
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}`, { buyer: BUYER });
+      expectError(response, 405, { code: 'invalid_status' });
+    }
+  },
+  {
+    group: 'status',
+    name: 'refuses to complete a session twice',
+    run: async (ctx) => {
+      const session = await ctx.completedSession();
+      expectError(await ctx.complete(session, 'vt_conformance'), 405, { code: 'invalid_status' });
+    }
+  },
+  {
+    group: 'status',
+    name: 'returns to ready_for_payment after a declined payment',
+    sandbox: true,
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const declined = await ctx.complete(session, await ctx.tokenFor(session, { card: DECLINED_CARD }));
+      expectError(declined, 402, { code: 'payment_declined' });
+
+      const retrieved = await ctx.request('GET', `/checkout_sessions/${session.id}`);
+      expectEqual(retrieved.data.status, 'ready_for_payment', 'status after the decline', retrieved);
+      if (!retrieved.data.messages.some(message => message.code === 'payment_declined')) {
+        fail('Session has no payment_declined message', retrieved);
+      }
+
+      const retried = await ctx.complete(session, await ctx.tokenFor(session));
+      expectStatus(retried, 200);
+      expectEqual(retried.data.status, 'completed', 'status after retrying with another card', retried);
+    }
+  },
+
+  // ----- Cancellation -----
+  {
+    group: 'cancellation',
+    name: 'cancels an open session',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}/cancel`);
+      expectStatus(response, 200);
+      ctx.expectSchema(response, 'agentic_checkout', 'CheckoutSession');
+      expectEqual(response.data.status, 'canceled', 'status', response);
+    }
+  },
+  {
+    group: 'cancellation',
+    name: 'refuses to cancel a canceled session',
+    run: async (ctx) => {
+      const session = await ctx.createSession();
+      expectStatus(await ctx.request('POST', `/checkout_sessions/${session.id}/cancel`), 200);
+      expectError(await ctx.request('POST', `/checkout_sessions/${session.id}/cancel`), 405, { code: 'invalid_status' });
+    }
+  },
+  {
+    group: 'cancellation',
+    name: 'refuses to update a canceled session',
+    run: async (ctx) => {
+      const session = await ctx.createSession();
+      expectStatus(await ctx.request('POST', `/checkout_sessions/${session.id}/cancel`), 200);
+      const response = await ctx.request('POST', `/checkout_sessions/${session.id}`, { fulfillment_address: ADDRESS });
+      expectError(response, 405, { code: 'invalid_status' });
+    }
+  },
+  {
+    group: 'cancellation',
+    name: 'refuses to complete a canceled session',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const token = await ctx.tokenFor(session);
+      expectStatus(await ctx.request('POST', `/checkout_sessions/${session.id}/cancel`), 200);
+      expectError(await ctx.complete(session, token), 405, { code: 'invalid_status' });
+    }
+  },
+  {
+    group: 'cancellation',
+    name: 'refuses to cancel a completed session',
+    run: async (ctx) => {
+      const session = await ctx.completedSession();
+      expectError(await ctx.request('POST', `/checkout_sessions/${session.id}/cancel`), 405, { code: 'invalid_status' });
+    }
+  },
+
+  // ----- Idempotency -----
+  {
+    group: 'idempotency',
+    name: 'replays a retried create with the same Idempotency-Key',
+    run: async (ctx, { itemId }) => {
+      const headers = { 'Idempotency-Key': `conformance_${uuidv4()}` };
+      const body = { items: [{ id: itemId, quantity: 1 }] };
+      const first = await ctx.request('POST', '/checkout_sessions', body, headers);
+      const retry = await ctx.request('POST', '/checkout_sessions', body, headers);
+      expectStatus(first, 201);
+      expectStatus(retry, 201);
+      expectEqual(retry.data.id, first.data.id, 'session id of the retry', retry);
+    }
+  },
+  {
+    group: 'idempotency',
+    name: 'rejects reusing an Idempotency-Key for a different request',
+    run: async (ctx, { itemId }) => {
+      const headers = { 'Idempotency-Key': `conformance_${uuidv4()}` };
+      expectStatus(await ctx.request('POST', '/checkout_sessions', { items: [{ id: itemId, quantity: 1 }] }, headers), 201);
+      const response = await ctx.request('POST', '/checkout_sessions', { items: [{ id: itemId, quantity: 2 }] }, headers);
+      expectError(response, 409);
+    }
+  },
+  {
+    group: 'idempotency',
+    name: 'does not charge twice for a retried complete',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const token = await ctx.tokenFor(session);
+      const headers = { 'Idempotency-Key': `conformance_${uuidv4()}` };
+      const first = await ctx.complete(session, token, headers);
+      const retry = await ctx.complete(session, token, headers);
+      expectStatus(first, 200);
+      expectStatus(retry, 200);
+      expectEqual(retry.data.order && retry.data.order.id, first.data.order.id, 'order id of the retry', retry);
+    }
+  },
+
+  // ----- Payment tokens -----
+  {
+    group: 'tokens',
+    name: 'delegates a card for a session',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.delegate(session);
+      expectStatus(response, 201);
+      ctx.expectSchema(response, 'delegate_payment', 'DelegatePaymentResponse');
+    }
+  },
+  {
+    group: 'tokens',
+    name: 'rejects a card number that fails the Luhn check',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.delegate(session, { card: '4242424242424241' });
+      expectError(response, 400, { param: '$.payment_method.number' });
+    }
+  },
+  {
+    group: 'tokens',
+    name: 'rejects an allowance that has already expired',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.delegate(session, { allowance: { expires_at: new Date(Date.now() - 60000).toISOString() } });
+      expectError(response, 400, { param: '$.allowance.expires_at' });
+    }
+  },
+  {
+    group: 'tokens',
+    name: 'rejects an allowance in another currency than the session',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const response = await ctx.delegate(session, { allowance: { currency: session.currency === 'eur' ? 'usd' : 'eur' } });
+      expectError(response, 400, { param: '$.allowance.currency' });
+    }
+  },
+  {
+    group: 'tokens',
+    name: 'refuses a token whose allowance is below the total',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const token = await ctx.tokenFor(session, { allowance: { max_amount: 1 } });
+      expectError(await ctx.complete(session, token), 400, { param: '$.payment_data.token' });
+    }
+  },
+  {
+    group: 'tokens',
+    name: 'refuses a token issued for another session',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const other = await ctx.readySession();
+      const token = await ctx.tokenFor(other);
+      expectError(await ctx.complete(session, token), 400, { param: '$.payment_data.token' });
+    }
+  },
+  {
+    group: 'tokens',
+    name: 'refuses an unknown token',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      expectError(await ctx.complete(session, `vt_${uuidv4()}`), 400, { param: '$.payment_data.token' });
+    }
+  },
+  {
+    group: 'tokens',
+    name: 'refuses to reuse a token after a completed checkout',
+    run: async (ctx) => {
+      const session = await ctx.readySession();
+      const token = await ctx.tokenFor(session);
+      expectStatus(await ctx.complete(session, token), 200);
+
+      const next = await ctx.readySession();
+      expectError(await ctx.complete(next, token), 400, { param: '$.payment_data.token' });
+    }
+  },
+
+  // ----- Orders -----
+  {
+    group: 'orders',
+    name: 'retrieves the order created at completion',
+    run: async (ctx) => {
+      const session = await ctx.completedSession();
+      const response = await ctx.request('GET', `/orders/${session.order.id}`);
+      expectStatus(response, 200);
+      ctx.expectSchema(response, 'agentic_checkout', 'Order');
+      expectEqual(response.data.checkout_session_id, session.id, 'checkout_session_id', response);
+    }
+  }
+];
+
+// Run the scenarios in order; `onResult` sees each result as it finishes
+const runSuite = async ({ makeRequest, schemas, itemId, merchantId, grep = null, specOnly = false, onResult = () => {} }) => {
+  const ctx = createContext({ makeRequest, schemas, itemId, merchantId });
+  const options = { itemId, merchantId };
+  const results = [];
+
+  for (const scenario of SCENARIOS) {
+    const title = `${scenario.group} › ${scenario.name}`;
+    if (grep && !grep.test(title)) continue;
+
+    const startedAt = Date.now();
+    const result = { group: scenario.group, name: scenario.name, status: 'passed', duration_ms: 0, message: null, response: null };
+
+    if (specOnly && scenario.sandbox) {
+      result.status = 'skipped';
+      result.message = 'Relies on sandbox test cards or admin routes';
+    } else {
+      try {
+        await scenario.run(ctx, options);
+      } catch (error) {
+        result.status = error.skipped ? 'skipped' : 'failed';
+        result.message = error.message;
+        result.response = error.response ? { status: error.response.status, body: error.response.data } : null;
+      }
+    }
+
+    result.duration_ms = Date.now() - startedAt;
+    results.push(result);
+    onResult(result);
+  }
+
+  return results;
+};
+
+module.exports = { API_VERSION, SCENARIOS, runSuite };
@@ -0,0 +1,59 @@
+// Helpers behind the /sandbox/admin endpoints.
+//
+// The dashboard browses whole collections, so listing is a plain in-memory
+// filter: `q` matches anywhere in the document's JSON, `status` matches its
+// status field, newest first, paged with limit and offset. Resetting
+// deletes every document of the given collections, optionally only the
+// ones a predicate accepts (for collections shared by all merchants).
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// When a document was created, whatever the collection calls it
+const createdAt = (document) => document.created_at || document.created || document.received_at || '';
+
+const parsePaging = ({ limit, offset }) => {
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  const parsedOffset = offset === undefined ? 0 : Number(offset);
+
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    return { error: { param: '$.limit', message: `limit must be an integer between 1 and ${MAX_LIMIT}` } };
+  }
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    return { error: { param: '$.offset', message: 'offset must be a non-negative integer' } };
+  }
+  return { limit: parsedLimit, offset: parsedOffset };
+};
+
+const searchDocuments = (documents, { q, status, limit, offset }) => {
+  const needle = q ? String(q).toLowerCase() : null;
+  const matches = documents
+    .filter(document => (
+      (!status || document.status === status) &&
+      (!needle || JSON.stringify(document).toLowerCase().includes(needle))
+    ))
+    .sort((a, b) => createdAt(b).localeCompare(createdAt(a)));
+
+  return {
+    data: matches.slice(offset, offset + limit),
+    total: matches.length,
+    limit,
+    offset
+  };
+};
+
+// Delete every document of each collection; returns the count per name
+const clearCollections = async (collections, keep = () => false) => {
+  const deleted = {};
+  for (const [name, collection] of Object.entries(collections)) {
+    deleted[name] = 0;
+    for (const document of await collection.list()) {
+      if (keep(document)) continue;
+      await collection.delete(document.id);
+      deleted[name]++;
+    }
+  }
+  return deleted;
+};
+
+module.exports = { parsePaging, searchDocuments, clearCollections };
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const { fieldError } = require('./validation');
+
+// ACP API version negotiation.
+//
+// Handlers work with one internal shape. Each supported version lists how
+// its requests map onto that shape (`request.<resource>.rename`, version
+// name -> internal name) and how responses are reshaped for it
+// (`response.<resource>.rename`, `remove` and `add`). Paths use dots for
+// nested fields and `[]` for every element of an array, e.g.
+// `totals[].display_text`.
+
+const VERSION_HEADER = 'api-version';
+const VERSION_STATUSES = ['stable', 'preview', 'deprecated'];
+const RESOURCES = ['checkout_session', 'order', 'delegate_payment'];
+
+// Call fn(parent, key) for every field `path` points at
+const forEachField = (value, path, fn) => {
+  const [segment, ...rest] = path.split('.');
+  const isArray = segment.endsWith('[]');
+  const key = isArray ? segment.slice(0, -2) : segment;
+
+  if (!value || typeof value !== 'object' || !(key in value)) return;
+
+  if (rest.length === 0 && !isArray) {
+    fn(value, key);
+    return;
+  }
+
+  const children = isArray ? (Array.isArray(value[key]) ? value[key] : []) : [value[key]];
+  children.forEach(child => {
+    if (rest.length === 0) return;
+    forEachField(child, rest.join('.'), fn);
+  });
+};
+
+const renameFields = (body, renames) => {
+  Object.entries(renames || {}).forEach(([path, newName]) => {
+    forEachField(body, path, (parent, key) => {
+      parent[newName] = parent[key];
+      delete parent[key];
+    });
+  });
+};
+
+const removeFields = (body, paths) => {
+  (paths || []).forEach(path => forEachField(body, path, (parent, key) => {
+    delete parent[key];
+  }));
+};
+
+const addFields = (body, additions) => {
+  Object.entries(additions || {}).forEach(([field, value]) => {
+    if (body[field] === undefined) body[field] = value;
+  });
+};
+
+// `$.fulfillment_address.city` -> `$.shipping_address.city` for top-level renames
+const renameParam = (param, renames) => {
+  if (typeof param !== 'string') return param;
+
+  for (const [from, to] of Object.entries(renames || {})) {
+    if (/[.[]/.test(from)) continue;
+    if (param === `$.${from}` || param.startsWith(`$.${from}.`) || param.startsWith(`$.${from}[`)) {
+      return `$.${to}${param.slice(from.length + 2)}`;
+    }
+  }
+  return param;
+};
+
+const loadApiVersions = (filePath) => {
+  const rows = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error(`API versions file ${filePath} must contain a non-empty array`);
+  }
+
+  rows.forEach(row => {
+    if (typeof row.version !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(row.version)) {
+      throw new Error(`API version ${row.version} must be a YYYY-MM-DD date`);
+    }
+    if (!VERSION_STATUSES.includes(row.status)) {
+      throw new Error(`API version ${row.version} status must be one of ${VERSION_STATUSES.join(', ')}`);
+    }
+    ['request', 'response'].forEach(direction => {
+      Object.keys(row[direction] || {}).forEach(resource => {
+        if (!RESOURCES.includes(resource)) {
+          throw new Error(`API version ${row.version} ${direction} has unknown resource ${resource}`);
+        }
+      });
+    });
+  });
+
+  const versions = new Map(rows.map(row => [row.version, row]));
+
+  // Public summary for GET /api
+  const list = () => rows.map(row => ({
+    version: row.version,
+    status: row.status,
+    description: row.description || null
+  }));
+
+  return { versions, list };
+};
+
+// Validate API-Version, map the request body to the internal shape and
+// reshape JSON responses for `resource`
+const createVersionMiddleware = (registry, resource) => (req, res, next) => {
+  const requested = req.headers[VERSION_HEADER];
+  const supported = Array.from(registry.versions.keys());
+  const version = registry.versions.get(requested);
+
+  if (!version) {
+    return res.status(400).json({
+      type: 'invalid_request',
+      code: 'invalid_api_version',
+      message: requested
+        ? `API-Version ${requested} is not supported, use one of: ${supported.join(', ')}`
+        : `API-Version header is required, use one of: ${supported.join(', ')}`
+    });
+  }
+
+  req.apiVersion = version.version;
+  res.set('API-Version', version.version);
+  if (version.status === 'deprecated') {
+    res.set('Deprecation', 'true');
+  }
+
+  if (version.require_idempotency_key && req.method === 'POST' && !req.headers['idempotency-key']) {
+    return res.status(400).json(fieldError(
+      'missing',
+      `Idempotency-Key header is required in API version ${version.version}`,
+      '$.idempotency_key'
+    ));
+  }
+
+  const requestRenames = ((version.request || {})[resource] || {}).rename || {};
+  if (req.body && typeof req.body === 'object') {
+    // Internal names are not valid in versions that renamed them
+    const internalName = Object.entries(requestRenames).find(([from, to]) => from !== to && to in req.body);
+    if (internalName) {
+      return res.status(400).json(fieldError(
+        'invalid',
+        `${internalName[1]} is called ${internalName[0]} in API version ${version.version}`,
+        `$.${internalName[1]}`
+      ));
+    }
+    renameFields(req.body, requestRenames);
+  }
+
+  const shape = (version.response || {})[resource];
+  if (shape) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!body || typeof body !== 'object') return json(body);
+
+      // Errors keep their shape, only the param paths change
+      if (res.statusCode >= 400) {
+        return json({ ...body, param: renameParam(body.param, shape.rename) });
+      }
+
+      const shaped = JSON.parse(JSON.stringify(body));
+      (shaped.messages || []).forEach(message => {
+        message.param = renameParam(message.param, shape.rename);
+      });
+      renameFields(shaped, shape.rename);
+      removeFields(shaped, shape.remove);
+      addFields(shaped, shape.add);
+      return json(shaped);
+    };
+  }
+
+  next();
+};
+
+module.exports = { loadApiVersions, createVersionMiddleware };
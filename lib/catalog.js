@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Product catalog loaded from a JSON or CSV seed file.
+//
+// Every product carries: id, title, description, brand, product_category,
+// price (minor units), currency, image_url, inventory_quantity, tax_code
+// and weight_grams.
+
+const NUMERIC_FIELDS = ['price', 'inventory_quantity', 'weight_grams'];
+
+// Split one CSV line, honouring double-quoted fields ("" escapes a quote)
+const parseCsvLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+const parseCsv = (text, delimiter = ',') => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const headers = parseCsvLine(lines[0], delimiter).map(header => header.trim());
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line, delimiter);
+    return headers.reduce((row, header, index) => {
+      row[header] = values[index] !== undefined ? values[index].trim() : '';
+      return row;
+    }, {});
+  });
+};
+
+const normalizeProduct = (raw, index) => {
+  if (!raw.id) {
+    throw new Error(`Catalog product at index ${index} is missing an id`);
+  }
+
+  const product = {
+    id: String(raw.id),
+    title: raw.title || String(raw.id),
+    description: raw.description || '',
+    brand: raw.brand || null,
+    product_category: raw.product_category || null,
+    price: raw.price,
+    currency: (raw.currency || 'usd').toLowerCase(),
+    image_url: raw.image_url || null,
+    inventory_quantity: raw.inventory_quantity,
+    tax_code: raw.tax_code || null,
+    weight_grams: raw.weight_grams
+  };
+
+  NUMERIC_FIELDS.forEach(field => {
+    const value = Number(product[field] === undefined || product[field] === '' ? 0 : product[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Catalog product ${product.id} has an invalid ${field}: ${product[field]}`);
+    }
+    product[field] = value;
+  });
+
+  return product;
+};
+
+const readSeedFile = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.csv') return parseCsv(text, ',');
+  if (extension === '.tsv') return parseCsv(text, '\t');
+  return JSON.parse(text);
+};
+
+const loadCatalog = (filePath) => {
+  const rows = readSeedFile(filePath);
+  if (!Array.isArray(rows)) {
+    throw new Error(`Catalog seed file ${filePath} must contain an array of products`);
+  }
+
+  const products = new Map();
+  rows.map(normalizeProduct).forEach(product => {
+    if (products.has(product.id)) {
+      throw new Error(`Catalog seed file ${filePath} contains duplicate product id ${product.id}`);
+    }
+    products.set(product.id, product);
+  });
+
+  // Seed prices, so price edits from the admin dashboard can be undone
+  const seedPrices = new Map(Array.from(products.values(), product => [product.id, product.price]));
+
+  return {
+    source: filePath,
+    getProduct: (id) => products.get(id),
+    list: () => Array.from(products.values()),
+    size: () => products.size,
+    setPrice: (id, price) => {
+      products.get(id).price = price;
+    },
+    resetPrices: () => {
+      seedPrices.forEach((price, id) => {
+        products.get(id).price = price;
+      });
+    }
+  };
+};
+
+module.exports = { loadCatalog };
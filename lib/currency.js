@@ -0,0 +1,73 @@
+const fs = require('fs');
+
+// Presentment currencies and fixed conversion rates.
+//
+// CURRENCIES_FILE names a base currency, the rate of every supported
+// currency against it (units of the currency per one unit of base) and the
+// currency each shipping country pays in. Amounts are integers in minor
+// units and ISO 4217 decides how many decimals a currency has: none for
+// JPY, three for KWD, two for most others. Catalog prices convert from
+// their own currency; shipping rates, promotion amounts and risk thresholds
+// are configured in the base currency.
+
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'isk', 'jpy', 'kmf', 'krw', 'pyg', 'rwf', 'ugx', 'uyi', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+const THREE_DECIMAL_CURRENCIES = ['bhd', 'iqd', 'jod', 'kwd', 'lyd', 'omr', 'tnd'];
+
+const minorUnits = (currency) => {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(currency)) return 3;
+  return 2;
+};
+
+// 1234 jpy -> "1234 JPY", 1234 kwd -> "1.234 KWD"
+const formatAmount = (amount, currency) => {
+  const decimals = minorUnits(currency);
+  return `${(amount / 10 ** decimals).toFixed(decimals)} ${currency.toUpperCase()}`;
+};
+
+const loadCurrencies = (filePath) => {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const rates = new Map(Object.entries(config.rates || {}));
+
+  rates.forEach((rate, code) => {
+    if (!/^[a-z]{3}$/.test(code)) {
+      throw new Error(`Currency ${code} must be a lowercase ISO 4217 code`);
+    }
+    if (typeof rate !== 'number' || !(rate > 0)) {
+      throw new Error(`Currency ${code} needs a positive rate`);
+    }
+  });
+  if (!rates.has(config.base) || rates.get(config.base) !== 1) {
+    throw new Error(`Base currency ${config.base} must be listed with a rate of 1`);
+  }
+
+  const countries = config.countries || {};
+  Object.entries(countries).forEach(([country, code]) => {
+    if (!/^[A-Z]{2}$/.test(country)) {
+      throw new Error(`Country ${country} must be an ISO 3166-1 alpha-2 code`);
+    }
+    if (!rates.has(code)) {
+      throw new Error(`Country ${country} uses ${code}, which has no rate`);
+    }
+  });
+
+  const isSupported = (code) => rates.has(code);
+
+  // Convert minor units between currencies, rounding to the nearest minor unit
+  const convert = (amount, from, to) => {
+    if (from === to) return amount;
+    const major = amount / 10 ** minorUnits(from) / rates.get(from) * rates.get(to);
+    return Math.round(major * 10 ** minorUnits(to));
+  };
+
+  const forCountry = (country) => countries[String(country || '').toUpperCase()] || null;
+
+  // Public summary for GET /api
+  const list = () => Array.from(rates, ([code, rate]) => ({ code, rate, minor_units: minorUnits(code) }));
+
+  return { base: config.base, isSupported, convert, forCountry, list };
+};
+
+module.exports = { formatAmount, loadCurrencies };
@@ -0,0 +1,107 @@
+// Live sandbox activity over Server-Sent Events (GET /sandbox/events).
+//
+// Routes publish what just happened to a session, token, order or webhook
+// delivery, and every connected client of that merchant whose filters match
+// receives it as an SSE message named after the event type. The most recent
+// events are kept in memory so a client reconnecting with Last-Event-ID
+// picks up what it missed. A comment line is written every heartbeat so
+// idle streams are not closed by proxies.
+
+const EVENT_TYPES = [
+  'checkout_session.created',
+  'checkout_session.updated',
+  'checkout_session.completed',
+  'checkout_session.canceled',
+  'payment_token.created',
+  'order.created',
+  'order.status_changed',
+  'webhook_delivery.queued',
+  'webhook_delivery.attempted'
+];
+
+// Query string filters for one merchant's stream, returns { filters } or
+// { error } for an unknown type
+const parseEventFilters = ({ session_id, types }, merchantId) => {
+  const typeList = types ? String(types).split(',').map(type => type.trim()).filter(Boolean) : null;
+  const unknown = (typeList || []).find(type => !EVENT_TYPES.includes(type));
+  if (unknown) {
+    return { error: { param: '$.types', message: `Unknown event type ${unknown}, use any of: ${EVENT_TYPES.join(', ')}` } };
+  }
+
+  return {
+    filters: {
+      sessionId: session_id || null,
+      merchantId,
+      types: typeList && typeList.length > 0 ? typeList : null
+    }
+  };
+};
+
+const createEventStream = ({ historySize = 500, heartbeatMs = 15000 } = {}) => {
+  const clients = new Set();
+  const history = [];
+  let sequence = 0;
+
+  const matches = (filters, event) => (
+    event.merchant_id === filters.merchantId &&
+    (!filters.sessionId || event.session_id === filters.sessionId) &&
+    (!filters.types || filters.types.includes(event.type))
+  );
+
+  const publish = ({ type, merchantId, sessionId = null, data }) => {
+    const event = {
+      id: ++sequence,
+      type,
+      merchant_id: merchantId,
+      session_id: sessionId,
+      occurred_at: new Date().toISOString(),
+      data
+    };
+    // Serialized now, later changes to the published objects don't leak in
+    const message = `id: ${event.id}\nevent: ${type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+    history.push({ event, message });
+    if (history.length > historySize) history.shift();
+
+    clients.forEach(client => {
+      if (matches(client.filters, event)) client.res.write(message);
+    });
+    return event;
+  };
+
+  // Hold the response open and stream matching events until the client leaves
+  const subscribe = (req, res, filters) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    // Ids restart with the process, so a larger Last-Event-ID replays nothing
+    const lastEventId = parseInt(req.headers['last-event-id'], 10);
+    if (Number.isInteger(lastEventId)) {
+      history
+        .filter(({ event }) => event.id > lastEventId && matches(filters, event))
+        .forEach(({ message }) => res.write(message));
+    }
+
+    const client = { res, filters };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  };
+
+  const stats = () => ({ clients: clients.size, published: sequence });
+
+  return { publish, subscribe, stats };
+};
+
+module.exports = { parseEventFilters, createEventStream };
@@ -0,0 +1,97 @@
+// Checkout session and payment token expiry.
+//
+// Sessions get an `expires_at` when they are created. Once it passes, an
+// open session is canceled with an explanatory message and its stock
+// reservation is released. Tokens expire at their `allowance.expires_at`.
+// Routes expire a stale session as they load it; the sweeper catches the
+// ones nobody comes back to. `onSessionExpired` is told about each one.
+// A session left in_progress longer than `processingTimeoutMs` (a restart or
+// an error mid-payment) expires too; one still being processed is left alone.
+
+// Statuses a session can still expire from
+const EXPIRABLE_STATUSES = ['not_ready_for_payment', 'ready_for_payment'];
+
+const createExpiry = ({ sessions, tokens, inventory, sessionTtlMs, sweepIntervalMs, processingTimeoutMs, onSessionExpired = () => {} }) => {
+  const sessionExpiresAt = (createdAt) => new Date(Date.parse(createdAt) + sessionTtlMs).toISOString();
+
+  const canExpire = (session, now) => EXPIRABLE_STATUSES.includes(session.status) || (
+    session.status === 'in_progress' && Date.parse(session.updated_at) + processingTimeoutMs <= now
+  );
+
+  // Cancel the session if it is past expires_at, returns true when it expired
+  const expireSession = async (session, now = Date.now()) => {
+    if (!canExpire(session, now) || !(Date.parse(session.expires_at) <= now)) {
+      return false;
+    }
+
+    await inventory.release(session.id);
+
+    session.status = 'canceled';
+    session.expired_at = new Date(now).toISOString();
+    session.messages = [
+      {
+        type: 'info',
+        param: '$.expires_at',
+        content_type: 'plain',
+        content: `Checkout session expired at ${session.expires_at}. Start a new checkout session to continue.`
+      }
+    ];
+    session.updated_at = session.expired_at;
+
+    await sessions.set(session.id, session);
+    onSessionExpired(session);
+    return true;
+  };
+
+  const expireToken = async (token, now = Date.now()) => {
+    const allowance = token.allowance || {};
+    if (token.used_at || token.expired_at || !(Date.parse(allowance.expires_at) <= now)) {
+      return false;
+    }
+
+    token.expired_at = new Date(now).toISOString();
+    await tokens.set(token.id, token);
+    return true;
+  };
+
+  const sweep = async (now = Date.now()) => {
+    let expiredSessions = 0;
+    let expiredTokens = 0;
+
+    for (const session of await sessions.list()) {
+      if (await expireSession(session, now)) expiredSessions++;
+    }
+    for (const token of await tokens.list()) {
+      if (await expireToken(token, now)) expiredTokens++;
+    }
+
+    return { sessions: expiredSessions, tokens: expiredTokens };
+  };
+
+  let timer = null;
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      sweep().catch(error => {
+        console.error('Expiry sweep error:', error);
+      });
+    }, sweepIntervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Totals for /health
+  const stats = async () => ({
+    sessions_expired: (await sessions.list()).filter(session => session.expired_at).length,
+    tokens_expired: (await tokens.list()).filter(token => token.expired_at).length
+  });
+
+  return { sessionExpiresAt, expireSession, sweep, start, stop, stats };
+};
+
+module.exports = { createExpiry };
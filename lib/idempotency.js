@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support for mutating ACP endpoints.
+//
+// The first request with a key stores a fingerprint of the request and the
+// response it produced. Replays with the same fingerprint get the stored
+// response back; reusing the key for a different request is a conflict.
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys so equivalent bodies hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const createIdempotencyMiddleware = ({ records, ttlMs = 24 * 60 * 60 * 1000 }) => {
+  return async (req, res, next) => {
+    if (req.method !== 'POST') return next();
+
+    const key = req.headers[IDEMPOTENCY_HEADER];
+    if (key === undefined) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+        param: '$.idempotency_key'
+      });
+    }
+
+    try {
+      // Keys are scoped to the caller's credentials
+      const recordId = hash(`${req.headers.authorization || ''}\n${key}`);
+      const fingerprint = hash(`${req.method} ${req.originalUrl.split('?')[0]}\n${canonicalJson(req.body || {})}`);
+      const existing = await records.get(recordId);
+
+      res.set('Idempotency-Key', key);
+
+      if (existing && Date.parse(existing.expires_at) > Date.now()) {
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(409).json({
+            type: 'invalid_request',
+            code: 'idempotency_conflict',
+            message: 'Idempotency-Key was already used with a different request',
+            param: '$.idempotency_key'
+          });
+        }
+
+        if (existing.status === 'in_progress') {
+          return res.status(409).json({
+            type: 'invalid_request',
+            code: 'idempotency_in_progress',
+            message: 'A request with this Idempotency-Key is still being processed',
+            param: '$.idempotency_key'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.status).json(existing.response.body);
+      }
+
+      const now = new Date();
+      const record = {
+        id: recordId,
+        // Lets a sandbox reset forget one merchant's keys
+        merchant_id: req.merchant ? req.merchant.id : null,
+        fingerprint,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: 'in_progress',
+        response: null,
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + ttlMs).toISOString()
+      };
+      await records.set(recordId, record);
+
+      // Responses that never go through res.json (default 404, res.send,
+      // the error handler, a dropped connection) can't be replayed, so the
+      // key is released for a retry instead of staying in_progress
+      let settled = false;
+      const release = () => {
+        if (settled) return;
+        settled = true;
+        records.delete(recordId).catch(error => {
+          console.error('Idempotency record error:', error);
+        });
+      };
+      res.on('finish', release);
+      res.on('close', release);
+
+      // Store the response before it goes out so a fast retry sees it
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        settled = true;
+        const persisted = res.statusCode >= 500
+          ? records.delete(recordId) // let a retry run the request again
+          : records.set(recordId, {
+            ...record,
+            status: 'completed',
+            response: { status: res.statusCode, body }
+          });
+
+        persisted.then(() => json(body), (error) => {
+          console.error('Idempotency record error:', error);
+          json(body);
+        });
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { createIdempotencyMiddleware };
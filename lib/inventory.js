@@ -0,0 +1,115 @@
+// Stock levels with per-session reservations.
+//
+// Each product has `on_hand` units and `reserved` units held by open
+// checkout sessions. Sessions reserve each line item in full or not at all
+// when created or updated, release it when canceled or expired, and commit
+// it (taking it off on_hand) when completed.
+
+const createInventory = ({ levels, reservations, catalog }) => {
+  // Create stock records for catalog products that have none yet
+  const seed = async () => {
+    for (const product of catalog.list()) {
+      if (!(await levels.get(product.id))) {
+        await levels.set(product.id, { id: product.id, on_hand: product.inventory_quantity, reserved: 0 });
+      }
+    }
+  };
+
+  const getLevel = async (productId) => {
+    return (await levels.get(productId)) || { id: productId, on_hand: 0, reserved: 0 };
+  };
+
+  const available = async (productId) => {
+    const level = await getLevel(productId);
+    return Math.max(0, level.on_hand - level.reserved);
+  };
+
+  const release = async (sessionId) => {
+    const reservation = await reservations.get(sessionId);
+    if (!reservation) return false;
+
+    for (const [productId, quantity] of Object.entries(reservation.items)) {
+      const level = await getLevel(productId);
+      level.reserved = Math.max(0, level.reserved - quantity);
+      await levels.set(productId, level);
+    }
+    await reservations.delete(sessionId);
+    return true;
+  };
+
+  // Replace the session's reservation with one for these line items.
+  // A line item that can't be filled holds nothing, so a session stuck on a
+  // shortage doesn't keep the last units from other buyers. Returns one
+  // shortage per such line item.
+  const reserve = async (sessionId, lineItems) => {
+    await release(sessionId);
+
+    const reserved = {};
+    const shortages = [];
+
+    for (let index = 0; index < lineItems.length; index++) {
+      const { id: productId, quantity } = lineItems[index].item;
+      const free = (await available(productId)) - (reserved[productId] || 0);
+      const held = free >= quantity ? quantity : 0;
+
+      reserved[productId] = (reserved[productId] || 0) + held;
+      if (held < quantity) {
+        shortages.push({ index, product_id: productId, requested: quantity, available: Math.max(0, free) });
+      }
+    }
+
+    for (const [productId, quantity] of Object.entries(reserved)) {
+      if (quantity === 0) continue;
+      const level = await getLevel(productId);
+      level.reserved += quantity;
+      await levels.set(productId, level);
+    }
+
+    await reservations.set(sessionId, {
+      id: sessionId,
+      items: reserved,
+      created_at: new Date().toISOString()
+    });
+    return shortages;
+  };
+
+  // Turn the session's reservation into a sale
+  const commit = async (sessionId) => {
+    const reservation = await reservations.get(sessionId);
+    if (!reservation) return false;
+
+    for (const [productId, quantity] of Object.entries(reservation.items)) {
+      const level = await getLevel(productId);
+      level.on_hand = Math.max(0, level.on_hand - quantity);
+      level.reserved = Math.max(0, level.reserved - quantity);
+      await levels.set(productId, level);
+    }
+    await reservations.delete(sessionId);
+    return true;
+  };
+
+  const list = () => levels.list();
+
+  // Set the units on hand, keeping what open sessions have reserved
+  const setOnHand = async (productId, onHand) => {
+    const level = await getLevel(productId);
+    level.on_hand = onHand;
+    await levels.set(productId, level);
+    return level;
+  };
+
+  // Drop every reservation and start again from the catalog quantities
+  const reset = async () => {
+    for (const reservation of await reservations.list()) {
+      await reservations.delete(reservation.id);
+    }
+    for (const level of await levels.list()) {
+      await levels.delete(level.id);
+    }
+    await seed();
+  };
+
+  return { seed, available, reserve, release, commit, list, getLevel, setOnHand, reset };
+};
+
+module.exports = { createInventory };
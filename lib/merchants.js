@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+// Simulated merchants for multi-tenant sandboxes.
+//
+// MERCHANTS_FILE lists the merchants. Each one has the API keys that
+// authenticate as it, a currency and optional catalog, shipping, tax and
+// promotions files (relative to the merchants file) that fall back to the
+// sandbox-wide defaults. Sessions, orders, tokens, webhooks and stock are
+// stored per merchant.
+
+const FILE_FIELDS = ['catalog_file', 'shipping_rules_file', 'tax_rules_file', 'promotions_file'];
+
+const loadMerchants = (filePath) => {
+  const rows = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error(`Merchants file ${filePath} must contain a non-empty array`);
+  }
+
+  const seenIds = new Set();
+  const seenKeys = new Set();
+
+  return rows.map(row => {
+    // Ids scope storage keys, so keep them to safe characters
+    if (typeof row.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(row.id)) {
+      throw new Error(`Merchant id ${row.id} must be 1-64 letters, digits, _ or -`);
+    }
+    if (seenIds.has(row.id)) {
+      throw new Error(`Duplicate merchant id ${row.id}`);
+    }
+    seenIds.add(row.id);
+
+    if (!Array.isArray(row.api_keys) || row.api_keys.length === 0 ||
+      row.api_keys.some(key => typeof key !== 'string' || key === '')) {
+      throw new Error(`Merchant ${row.id} needs a non-empty api_keys array`);
+    }
+    row.api_keys.forEach(key => {
+      if (seenKeys.has(key)) {
+        throw new Error(`API key for merchant ${row.id} is already used by another merchant`);
+      }
+      seenKeys.add(key);
+    });
+
+    const currency = row.currency || 'usd';
+    if (!/^[a-z]{3}$/.test(currency)) {
+      throw new Error(`Merchant ${row.id} currency must be a lowercase ISO 4217 code`);
+    }
+
+    const merchant = {
+      id: row.id,
+      name: row.name || row.id,
+      api_keys: row.api_keys,
+      currency,
+      webhook_secret: row.webhook_secret || null
+    };
+    FILE_FIELDS.forEach(field => {
+      merchant[field] = row[field] ? path.resolve(path.dirname(filePath), row[field]) : null;
+    });
+    return merchant;
+  });
+};
+
+// Bearer token from an Authorization header, or null
+const bearerToken = (header) => {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  return match ? match[1].trim() : null;
+};
+
+module.exports = { loadMerchants, bearerToken };
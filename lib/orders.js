@@ -0,0 +1,98 @@
+const { fieldError, isNonEmptyString } = require('./validation');
+
+// Order lifecycle after checkout completion.
+//
+//   created -> confirmed -> shipped -> delivered
+//      \           \
+//       +-----------+-> canceled
+//
+// Refunds can be issued from any status but canceled or refunded. Partial
+// refunds leave the status alone; once the whole total has been refunded
+// the order becomes refunded. Canceling refunds whatever is left.
+
+const ORDER_STATUSES = ['created', 'confirmed', 'shipped', 'delivered', 'canceled', 'refunded'];
+const REFUND_TYPES = ['original_payment', 'store_credit'];
+
+// Statuses each action may start from
+const ORDER_ACTIONS = {
+  confirm: ['created'],
+  ship: ['created', 'confirmed'],
+  deliver: ['shipped'],
+  cancel: ['created', 'confirmed'],
+  refund: ['created', 'confirmed', 'shipped', 'delivered']
+};
+
+const checkOrderAction = (order, action) => {
+  if (ORDER_ACTIONS[action].includes(order.status)) return null;
+
+  return {
+    status: 405,
+    error: fieldError('invalid_status', `Cannot ${action} order with status: ${order.status}`, '$.status')
+  };
+};
+
+const validateShipment = (body) => {
+  if (!isNonEmptyString(body.carrier)) {
+    return fieldError('missing', 'carrier is required', '$.carrier');
+  }
+  if (!isNonEmptyString(body.tracking_number)) {
+    return fieldError('missing', 'tracking_number is required', '$.tracking_number');
+  }
+  if (body.tracking_url !== undefined && !/^https?:\/\//.test(String(body.tracking_url))) {
+    return fieldError('invalid', 'tracking_url must be an http(s) URL', '$.tracking_url');
+  }
+  return null;
+};
+
+const amountRefunded = (order) => (order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+
+const refundableAmount = (order) => Math.max(0, order.total - amountRefunded(order));
+
+// Validates a refund request, returns an ACP error or null
+const validateRefund = (order, body) => {
+  const remaining = refundableAmount(order);
+
+  if (body.amount !== undefined && (!Number.isInteger(body.amount) || body.amount <= 0)) {
+    return fieldError('invalid', 'amount must be a positive integer in minor units', '$.amount');
+  }
+  if (body.amount > remaining) {
+    return fieldError('invalid', `amount exceeds the refundable amount of ${remaining}`, '$.amount');
+  }
+  if (body.type !== undefined && !REFUND_TYPES.includes(body.type)) {
+    return fieldError('invalid', `type must be one of: ${REFUND_TYPES.join(', ')}`, '$.type');
+  }
+  if (remaining === 0) {
+    return fieldError('invalid', 'Order has nothing left to refund', '$.amount');
+  }
+  return null;
+};
+
+// Record a refund, defaulting to the full remaining amount
+const addRefund = (order, { amount, type, reason }, now) => {
+  const refund = {
+    type: type || 'original_payment',
+    amount: amount || refundableAmount(order),
+    reason: reason || null,
+    created_at: now
+  };
+
+  order.refunds = [...(order.refunds || []), refund];
+  order.amount_refunded = amountRefunded(order);
+  return refund;
+};
+
+const setOrderStatus = (order, status, now) => {
+  order.status = status;
+  order.status_history = [...(order.status_history || []), { status, at: now }];
+  order.updated_at = now;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  checkOrderAction,
+  validateShipment,
+  validateRefund,
+  refundableAmount,
+  addRefund,
+  setOrderStatus
+};
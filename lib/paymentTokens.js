@@ -0,0 +1,67 @@
+// Delegated payment token checks applied at checkout completion.
+//
+// A token is only good for the session, merchant, currency and amount its
+// allowance names, until allowance.expires_at, and only once.
+
+const tokenError = (code, message) => ({
+  type: 'invalid_request',
+  code,
+  message,
+  param: '$.payment_data.token'
+});
+
+const sessionTotal = (session) => {
+  const total = session.totals.find(line => line.type === 'total');
+  return total ? total.amount : 0;
+};
+
+// Returns an ACP error for a token that cannot pay for the session, or null
+const validateTokenForSession = (token, session, { merchantId, now = Date.now() }) => {
+  if (!token) {
+    return tokenError('token_not_found', 'Payment token not found');
+  }
+
+  const allowance = token.allowance || {};
+
+  if (token.used_at) {
+    return tokenError('token_already_used', `Payment token was already used at ${token.used_at}`);
+  }
+
+  const expiresAt = Date.parse(allowance.expires_at);
+  if (!(expiresAt > now)) {
+    return tokenError('token_expired', `Payment token allowance expired at ${allowance.expires_at}`);
+  }
+
+  if (allowance.checkout_session_id !== session.id) {
+    return tokenError(
+      'token_session_mismatch',
+      `Payment token is for checkout session ${allowance.checkout_session_id}, not ${session.id}`
+    );
+  }
+
+  if (allowance.merchant_id !== merchantId) {
+    return tokenError(
+      'token_merchant_mismatch',
+      `Payment token is for merchant ${allowance.merchant_id}, not ${merchantId}`
+    );
+  }
+
+  if (String(allowance.currency).toLowerCase() !== session.currency) {
+    return tokenError(
+      'token_currency_mismatch',
+      `Payment token currency ${allowance.currency} does not match session currency ${session.currency}`
+    );
+  }
+
+  const total = sessionTotal(session);
+  if (!(allowance.max_amount >= total)) {
+    return tokenError(
+      'allowance_exceeded',
+      `Session total ${total} exceeds the token allowance of ${allowance.max_amount}`
+    );
+  }
+
+  return null;
+};
+
+module.exports = { validateTokenForSession, sessionTotal };
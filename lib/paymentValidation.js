@@ -0,0 +1,90 @@
+const { fieldError } = require('./validation');
+
+// Field validation for /agentic_commerce/delegate_payment requests.
+//
+// The DelegatePaymentRequest schema already checks types, required fields,
+// enums, lengths and patterns. These checks cover what it can't express:
+// the Luhn check, expiry dates, CVC length per brand and fields that must
+// agree with the card number. Each returns an ACP error whose `param` is the
+// JSON path of the offending field, or null when the request is well formed.
+
+const cardError = (message, param) => fieldError('invalid_card', message, `$.payment_method.${param}`);
+const allowanceError = (message, param) => fieldError('invalid_allowance', message, `$.allowance.${param}`);
+
+const passesLuhn = (number) => {
+  let sum = 0;
+  let double = false;
+  for (let i = number.length - 1; i >= 0; i--) {
+    let digit = Number(number[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+};
+
+const detectBrand = (number) => {
+  if (/^3[47]/.test(number)) return 'amex';
+  if (/^4/.test(number)) return 'visa';
+  if (/^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/.test(number)) return 'mastercard';
+  if (/^(6011|65|64[4-9])/.test(number)) return 'discover';
+  if (/^(30[0-5]|36|38)/.test(number)) return 'diners';
+  if (/^35(2[89]|[3-8]\d)/.test(number)) return 'jcb';
+  return 'unknown';
+};
+
+const validateCard = (paymentMethod, now) => {
+  const number = paymentMethod.number;
+  if (!passesLuhn(number)) {
+    return cardError('Card number fails the Luhn check', 'number');
+  }
+
+  // The schema leaves the expiry optional, the sandbox charges need it
+  const expMonth = Number(paymentMethod.exp_month);
+  if (paymentMethod.exp_month === undefined || expMonth < 1 || expMonth > 12) {
+    return cardError('exp_month must be a month between 01 and 12', 'exp_month');
+  }
+  if (paymentMethod.exp_year === undefined) {
+    return cardError('exp_year must be a four-digit year', 'exp_year');
+  }
+
+  // Cards are valid through the last moment of their expiry month
+  if (Date.UTC(Number(paymentMethod.exp_year), expMonth, 1) <= now) {
+    return cardError('Card expiry date is in the past', 'exp_year');
+  }
+
+  const brand = detectBrand(number);
+  if (paymentMethod.cvc !== undefined) {
+    const cvcLength = brand === 'amex' ? 4 : 3;
+    if (paymentMethod.cvc.length !== cvcLength) {
+      return cardError(`CVC must be ${cvcLength} digits for ${brand} cards`, 'cvc');
+    }
+  }
+
+  if (paymentMethod.iin !== undefined && !number.startsWith(paymentMethod.iin)) {
+    return cardError('iin must be the first 6 to 8 digits of the card number', 'iin');
+  }
+
+  if (paymentMethod.display_last4 !== undefined && paymentMethod.display_last4 !== number.slice(-4)) {
+    return cardError('display_last4 must be the last 4 digits of the card number', 'display_last4');
+  }
+
+  return null;
+};
+
+const validateAllowance = (allowance, now) => {
+  if (Date.parse(allowance.expires_at) <= now) {
+    return allowanceError('expires_at must be in the future', 'expires_at');
+  }
+
+  return null;
+};
+
+const validateDelegatePayment = (body, now = Date.now()) => {
+  return validateCard(body.payment_method, now) || validateAllowance(body.allowance, now);
+};
+
+module.exports = { passesLuhn, validateDelegatePayment };
@@ -0,0 +1,181 @@
+const { formatAmount } = require('./currency');
+
+// Product feed in the OpenAI commerce product-feed format.
+//
+// Feed items are derived from the same catalog products that price
+// checkout line items, so what an agent browses is what it gets charged.
+
+const SELLER_NAME = 'Test Shop';
+const SELLER_URL = 'https://www.testshop.com';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Column order for CSV/TSV output
+const FEED_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'link',
+  'brand',
+  'product_category',
+  'condition',
+  'image_link',
+  'price',
+  'availability',
+  'inventory_quantity',
+  'weight',
+  'enable_search',
+  'enable_checkout',
+  'seller_name',
+  'seller_url',
+  'seller_privacy_policy',
+  'seller_tos',
+  'return_policy',
+  'return_window'
+];
+
+const AVAILABILITY_VALUES = ['in_stock', 'out_of_stock'];
+
+const toFeedItem = (product) => ({
+  id: product.id,
+  title: product.title,
+  description: product.description,
+  link: `${SELLER_URL}/products/${product.id}`,
+  brand: product.brand,
+  product_category: product.product_category,
+  condition: 'new',
+  image_link: product.image_url,
+  price: formatAmount(product.price, product.currency),
+  availability: product.inventory_quantity > 0 ? 'in_stock' : 'out_of_stock',
+  inventory_quantity: product.inventory_quantity,
+  weight: `${product.weight_grams} g`,
+  enable_search: true,
+  enable_checkout: true,
+  seller_name: SELLER_NAME,
+  seller_url: SELLER_URL,
+  seller_privacy_policy: `${SELLER_URL}/legal/privacy-policy`,
+  seller_tos: `${SELLER_URL}/legal/terms-of-use`,
+  return_policy: `${SELLER_URL}/legal/returns`,
+  return_window: 30
+});
+
+const parseNonNegativeInteger = (value) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+// Validate feed query parameters, returns { error } or { options }
+const parseFeedQuery = (query) => {
+  const limit = parseNonNegativeInteger(query.limit);
+  if (Number.isNaN(limit) || limit === 0 || limit > MAX_LIMIT) {
+    return {
+      error: {
+        type: 'invalid_request',
+        code: 'invalid',
+        message: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+        param: '$.limit'
+      }
+    };
+  }
+
+  const offset = parseNonNegativeInteger(query.offset);
+  if (Number.isNaN(offset)) {
+    return {
+      error: {
+        type: 'invalid_request',
+        code: 'invalid',
+        message: 'offset must be a non-negative integer',
+        param: '$.offset'
+      }
+    };
+  }
+
+  for (const param of ['min_price', 'max_price']) {
+    if (Number.isNaN(parseNonNegativeInteger(query[param]))) {
+      return {
+        error: {
+          type: 'invalid_request',
+          code: 'invalid',
+          message: `${param} must be a non-negative integer amount in minor units`,
+          param: `$.${param}`
+        }
+      };
+    }
+  }
+
+  if (query.availability && !AVAILABILITY_VALUES.includes(query.availability)) {
+    return {
+      error: {
+        type: 'invalid_request',
+        code: 'invalid',
+        message: `availability must be one of: ${AVAILABILITY_VALUES.join(', ')}`,
+        param: '$.availability'
+      }
+    };
+  }
+
+  return {
+    options: {
+      q: query.q ? String(query.q).toLowerCase() : null,
+      availability: query.availability || null,
+      brand: query.brand ? String(query.brand).toLowerCase() : null,
+      product_category: query.product_category ? String(query.product_category).toLowerCase() : null,
+      min_price: parseNonNegativeInteger(query.min_price),
+      max_price: parseNonNegativeInteger(query.max_price),
+      limit: limit || DEFAULT_LIMIT,
+      offset: offset || 0
+    }
+  };
+};
+
+const matchesProduct = (product, options) => {
+  if (options.q) {
+    const haystack = `${product.id} ${product.title} ${product.description}`.toLowerCase();
+    if (!haystack.includes(options.q)) return false;
+  }
+  if (options.availability) {
+    const available = product.inventory_quantity > 0;
+    if ((options.availability === 'in_stock') !== available) return false;
+  }
+  if (options.brand && (product.brand || '').toLowerCase() !== options.brand) return false;
+  if (options.product_category && !(product.product_category || '').toLowerCase().includes(options.product_category)) {
+    return false;
+  }
+  if (options.min_price !== undefined && product.price < options.min_price) return false;
+  if (options.max_price !== undefined && product.price > options.max_price) return false;
+  return true;
+};
+
+// Filter and page the catalog into a feed page
+const queryFeed = (products, options) => {
+  const matches = products.filter(product => matchesProduct(product, options));
+  const page = matches.slice(options.offset, options.offset + options.limit);
+
+  return {
+    data: page.map(toFeedItem),
+    total_count: matches.length,
+    limit: options.limit,
+    offset: options.offset,
+    has_more: options.offset + page.length < matches.length
+  };
+};
+
+const escapeDelimited = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (delimiter === '\t') return text.replace(/[\t\r\n]/g, ' ');
+  if (/[",\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+};
+
+const toDelimited = (feedItems, delimiter) => {
+  const rows = [FEED_FIELDS.join(delimiter)];
+  feedItems.forEach(item => {
+    rows.push(FEED_FIELDS.map(field => escapeDelimited(item[field], delimiter)).join(delimiter));
+  });
+  return rows.join('\n') + '\n';
+};
+
+module.exports = { parseFeedQuery, queryFeed, toDelimited };
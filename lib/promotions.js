@@ -0,0 +1,167 @@
+const fs = require('fs');
+
+// Discount codes and promotions.
+//
+// Supported types: percentage, fixed_amount, free_shipping and
+// buy_x_get_y. Any promotion may also set min_subtotal, expires_at and
+// usage_limit. Codes are matched case-insensitively and applied in the
+// order the buyer entered them. amount_off and min_subtotal are in the base
+// currency; `fromBase` converts them to the session currency.
+
+const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+
+const loadPromotions = (filePath) => {
+  const rows = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rows)) {
+    throw new Error(`Promotions file ${filePath} must contain an array`);
+  }
+
+  const promotions = new Map();
+  rows.forEach(promotion => {
+    if (!promotion.code || !PROMOTION_TYPES.includes(promotion.type)) {
+      throw new Error(`Promotion ${promotion.code || '(unnamed)'} needs a code and a type of ${PROMOTION_TYPES.join(', ')}`);
+    }
+    promotions.set(promotion.code.toUpperCase(), promotion);
+  });
+  return promotions;
+};
+
+const codeMessage = (type, index, content, code) => ({
+  type,
+  ...(code ? { code } : {}),
+  param: `$.discount_codes[${index}]`,
+  content_type: 'plain',
+  content
+});
+
+// Spread `amount` over line items in proportion to their remaining subtotal
+const allocate = (lineItems, amount) => {
+  const remaining = lineItems.map(lineItem => lineItem.base_amount - lineItem.discount);
+  const pool = remaining.reduce((sum, value) => sum + value, 0);
+  // Nothing left to discount, e.g. only free items
+  if (pool === 0) return 0;
+
+  const capped = Math.min(amount, pool);
+  // Rounding leftovers go to the last line that still has something to discount
+  const lastIndex = remaining.reduce((last, value, index) => (value > 0 ? index : last), -1);
+  let allocated = 0;
+
+  lineItems.forEach((lineItem, index) => {
+    const share = index === lastIndex
+      ? capped - allocated
+      : Math.floor(capped * remaining[index] / pool);
+    lineItem.discount += share;
+    allocated += share;
+  });
+  return capped;
+};
+
+const applyPercentage = (lineItems, percentOff) => {
+  return lineItems.reduce((total, lineItem) => {
+    const amount = Math.floor((lineItem.base_amount - lineItem.discount) * percentOff / 100);
+    lineItem.discount += amount;
+    return total + amount;
+  }, 0);
+};
+
+// Every (buy + get) units of the item, `get` units are discounted
+const applyBuyXGetY = (lineItems, promotion, unitPrice) => {
+  const matching = lineItems.filter(lineItem => lineItem.item.id === promotion.item_id);
+  const units = matching.reduce((sum, lineItem) => sum + lineItem.item.quantity, 0);
+  let freeUnits = Math.floor(units / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+  let total = 0;
+
+  matching.forEach(lineItem => {
+    const discountedUnits = Math.min(freeUnits, lineItem.item.quantity);
+    const amount = Math.min(
+      Math.floor(discountedUnits * unitPrice * (promotion.percent_off || 100) / 100),
+      lineItem.base_amount - lineItem.discount
+    );
+    lineItem.discount += amount;
+    freeUnits -= discountedUnits;
+    total += amount;
+  });
+  return total;
+};
+
+// Apply discount codes to line items (mutating `discount`).
+// Returns { discounts, messages, freeShipping }.
+const applyPromotions = ({
+  promotions,
+  codes,
+  lineItems,
+  usage,
+  unitPrice,
+  fromBase = amount => amount,
+  formatAmount = String,
+  now = Date.now()
+}) => {
+  const discounts = [];
+  const messages = [];
+  let freeShipping = false;
+  const itemsSubtotal = lineItems.reduce((sum, lineItem) => sum + lineItem.base_amount, 0);
+  const seen = new Set();
+
+  lineItems.forEach(lineItem => {
+    lineItem.discount = 0;
+  });
+
+  codes.forEach((rawCode, index) => {
+    const code = String(rawCode).trim().toUpperCase();
+    const promotion = promotions.get(code);
+
+    if (!promotion) {
+      messages.push(codeMessage('error', index, `Discount code ${rawCode} is not valid.`, 'invalid'));
+      return;
+    }
+    if (seen.has(code)) {
+      messages.push(codeMessage('error', index, `Discount code ${code} was already applied.`, 'invalid'));
+      return;
+    }
+    if (promotion.expires_at && Date.parse(promotion.expires_at) <= now) {
+      messages.push(codeMessage('error', index, `Discount code ${code} has expired.`, 'invalid'));
+      return;
+    }
+    if (promotion.usage_limit !== undefined && (usage[code] || 0) >= promotion.usage_limit) {
+      messages.push(codeMessage('error', index, `Discount code ${code} has reached its usage limit.`, 'invalid'));
+      return;
+    }
+    if (promotion.min_subtotal !== undefined && itemsSubtotal < fromBase(promotion.min_subtotal)) {
+      messages.push(codeMessage(
+        'error',
+        index,
+        `Discount code ${code} requires an items subtotal of at least ${formatAmount(fromBase(promotion.min_subtotal))}.`,
+        'invalid'
+      ));
+      return;
+    }
+
+    let amount = 0;
+    if (promotion.type === 'percentage') {
+      amount = applyPercentage(lineItems, promotion.percent_off);
+    } else if (promotion.type === 'fixed_amount') {
+      amount = allocate(lineItems, fromBase(promotion.amount_off));
+    } else if (promotion.type === 'buy_x_get_y') {
+      amount = applyBuyXGetY(lineItems, promotion, unitPrice(promotion.item_id));
+      if (amount === 0) {
+        messages.push(codeMessage(
+          'error',
+          index,
+          `Discount code ${code} needs ${promotion.buy_quantity + promotion.get_quantity} units of ${promotion.item_id}.`,
+          'invalid'
+        ));
+        return;
+      }
+    } else if (promotion.type === 'free_shipping') {
+      freeShipping = true;
+    }
+
+    seen.add(code);
+    discounts.push({ code, type: promotion.type, description: promotion.description || null, amount });
+    messages.push(codeMessage('info', index, `Discount code ${code} applied: ${promotion.description || promotion.type}.`));
+  });
+
+  return { discounts, messages, freeShipping };
+};
+
+module.exports = { loadPromotions, applyPromotions };
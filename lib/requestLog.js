@@ -0,0 +1,172 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Structured log of ACP requests and responses.
+//
+// Every exchange on the checkout session, delegate payment and order routes
+// is stored with its headers (credentials redacted), bodies (card numbers
+// masked, CVCs and cryptograms removed), status and timing. Entries are
+// linked to the session, token and order ids they touched, so one session's
+// exchange can be read back in the order the agent sent it. Entries older
+// than the retention window are pruned in the background.
+
+const REDACTED = '[redacted]';
+const REDACTED_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const SECRET_FIELDS = ['cvc', 'cryptogram'];
+// Kept on stored records for risk checks, never shown
+const INTERNAL_FIELDS = ['card_fingerprint'];
+
+// 4242424242424242 -> 424242******4242
+const maskCardNumber = (number) => `${number.slice(0, 6)}${'*'.repeat(number.length - 10)}${number.slice(-4)}`;
+
+// Copy of a JSON body with card numbers masked, secrets redacted and
+// internal fields dropped
+const maskBody = (value, key) => {
+  if (Array.isArray(value)) return value.map(item => maskBody(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([field]) => !INTERNAL_FIELDS.includes(field))
+      .map(([field, child]) => [field, maskBody(child, field)]));
+  }
+  if (SECRET_FIELDS.includes(key) && value !== null && value !== undefined) return REDACTED;
+  if (typeof value === 'string' && /^\d{12,19}$/.test(value)) return maskCardNumber(value);
+  return value;
+};
+
+const redactHeaders = (headers) => Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+  name,
+  REDACTED_HEADERS.includes(name.toLowerCase()) ? REDACTED : value
+]));
+
+// Full path, also when mounted under a prefix
+const requestPath = (req) => req.originalUrl.split('?')[0];
+
+// Session, token and order ids an exchange touched
+const linkedIds = (path, requestBody, responseBody) => {
+  const request = requestBody && typeof requestBody === 'object' ? requestBody : {};
+  const response = responseBody && typeof responseBody === 'object' ? responseBody : {};
+  const sessionMatch = path.match(/^\/checkout_sessions\/([^/]+)/);
+  const orderMatch = path.match(/^\/orders\/([^/]+)/);
+  const isDelegate = path === '/agentic_commerce/delegate_payment';
+
+  return {
+    session_id: (sessionMatch && sessionMatch[1]) ||
+      (path === '/checkout_sessions' && response.id) ||
+      response.checkout_session_id ||
+      (request.allowance && request.allowance.checkout_session_id) ||
+      null,
+    token_id: (request.payment_data && request.payment_data.token) || (isDelegate && response.id) || null,
+    order_id: (orderMatch && orderMatch[1]) || (response.order && response.order.id) || null
+  };
+};
+
+const byArrival = (a, b) => a.received_at.localeCompare(b.received_at) || a.sequence - b.sequence;
+
+// Everything about one session: its own requests, its tokens' and its orders'
+const sessionTimeline = (all, sessionId) => {
+  const own = all.filter(entry => entry.session_id === sessionId);
+  const tokenIds = new Set(own.map(entry => entry.token_id).filter(Boolean));
+  const orderIds = new Set(own.map(entry => entry.order_id).filter(Boolean));
+
+  return all
+    .filter(entry => entry.session_id === sessionId || tokenIds.has(entry.token_id) || orderIds.has(entry.order_id))
+    .sort(byArrival);
+};
+
+const createRequestLog = ({ entries, retentionMs, pruneIntervalMs }) => {
+  let sequence = 0;
+
+  // Record the exchange once the response has been sent
+  const middleware = (req, res, next) => {
+    const startedAt = Date.now();
+    const entry = {
+      id: `log_${uuidv4().slice(0, 12)}`,
+      sequence: ++sequence,
+      merchant_id: req.merchant ? req.merchant.id : null,
+      received_at: new Date(startedAt).toISOString(),
+      method: req.method,
+      path: requestPath(req),
+      query: { ...req.query },
+      request: {
+        headers: redactHeaders(req.headers),
+        // Copied now, before API version renames change the body in place
+        body: req.body === undefined ? null : maskBody(req.body)
+      }
+    };
+
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      entry.response = {
+        status: res.statusCode,
+        headers: redactHeaders(res.getHeaders()),
+        body: maskBody(responseBody)
+      };
+      entry.duration_ms = Date.now() - startedAt;
+      Object.assign(entry, linkedIds(entry.path, entry.request.body, responseBody));
+
+      entries.set(entry.id, entry).catch(error => {
+        console.error('Request log error:', error);
+      });
+    });
+
+    next();
+  };
+
+  // Entries in arrival order, optionally for one session, token or order
+  const list = async ({ session_id, token_id, order_id } = {}) => {
+    return (await entries.list())
+      .filter(entry => (
+        (!session_id || entry.session_id === session_id) &&
+        (!token_id || entry.token_id === token_id) &&
+        (!order_id || entry.order_id === order_id)
+      ))
+      .sort(byArrival);
+  };
+
+  const timeline = async (sessionId) => sessionTimeline(await entries.list(), sessionId);
+
+  const clear = async () => {
+    const all = await entries.list();
+    for (const entry of all) {
+      await entries.delete(entry.id);
+    }
+    return all.length;
+  };
+
+  const prune = async (now = Date.now()) => {
+    let pruned = 0;
+    for (const entry of await entries.list()) {
+      if (Date.parse(entry.received_at) <= now - retentionMs) {
+        await entries.delete(entry.id);
+        pruned++;
+      }
+    }
+    return pruned;
+  };
+
+  let timer = null;
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      prune().catch(error => {
+        console.error('Request log prune error:', error);
+      });
+    }, pruneIntervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { middleware, list, timeline, clear, prune, start, stop };
+};
+
+module.exports = { REDACTED, byArrival, sessionTimeline, maskBody, requestPath, createRequestLog };
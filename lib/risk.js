@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Risk engine for delegated payments.
+//
+// Combines the agent-supplied risk_signals with sandbox heuristics (card
+// velocity, amount thresholds, billing/shipping country mismatch) into one
+// decision: authorize, review or block. The most severe rule wins.
+
+const DECISIONS = ['authorize', 'review', 'block'];
+
+const DEFAULT_RISK_CONFIG = {
+  // Where a block surfaces: `delegate` refuses the token, `complete` refuses the charge
+  block_stage: 'delegate',
+  signals: {
+    review_score: 50,
+    block_score: 80
+  },
+  velocity: {
+    window_seconds: 600,
+    review_count: 25,
+    block_count: 100
+  },
+  amount: {
+    review_over: 50000,
+    block_over: 1000000
+  },
+  // authorize, review or block when billing country differs from shipping country
+  country_mismatch: 'review'
+};
+
+const loadRiskConfig = (filePath) => {
+  if (!filePath) return DEFAULT_RISK_CONFIG;
+
+  const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const config = { ...DEFAULT_RISK_CONFIG, ...overrides };
+  ['signals', 'velocity', 'amount'].forEach(section => {
+    config[section] = { ...DEFAULT_RISK_CONFIG[section], ...(overrides[section] || {}) };
+  });
+
+  if (!['delegate', 'complete'].includes(config.block_stage)) {
+    throw new Error(`Risk config block_stage must be delegate or complete, got ${config.block_stage}`);
+  }
+  if (!DECISIONS.includes(config.country_mismatch)) {
+    throw new Error(`Risk config country_mismatch must be one of ${DECISIONS.join(', ')}`);
+  }
+  return config;
+};
+
+// Keyed with a per-process secret so a fingerprint can't be brute-forced back
+// to the card number; velocity only spans tokens made since the last restart
+const FINGERPRINT_SECRET = crypto.randomBytes(32);
+
+const cardFingerprint = (number) => crypto.createHmac('sha256', FINGERPRINT_SECRET).update(String(number)).digest('hex');
+
+const thresholdDecision = (value, reviewAt, blockAt) => {
+  if (value >= blockAt) return 'block';
+  if (value >= reviewAt) return 'review';
+  return 'authorize';
+};
+
+// context: { body, recentCardTokens, session }
+const evaluateRisk = ({ body, recentCardTokens, session, baseAmount }, config = DEFAULT_RISK_CONFIG) => {
+  const reasons = [];
+  const flag = (decision, rule, detail) => {
+    if (decision !== 'authorize') reasons.push({ rule, decision, detail });
+  };
+
+  (body.risk_signals || []).forEach((signal, index) => {
+    if (signal.action === 'blocked') {
+      flag('block', 'risk_signal_action', `risk_signals[${index}] (${signal.type}) action is blocked`);
+    } else if (signal.action === 'manual_review') {
+      flag('review', 'risk_signal_action', `risk_signals[${index}] (${signal.type}) action is manual_review`);
+    }
+    flag(
+      thresholdDecision(signal.score, config.signals.review_score, config.signals.block_score),
+      'risk_signal_score',
+      `risk_signals[${index}] (${signal.type}) score ${signal.score}`
+    );
+  });
+
+  // Tokens already created for this card inside the window, plus this one
+  const velocity = recentCardTokens.length + 1;
+  flag(
+    thresholdDecision(velocity, config.velocity.review_count, config.velocity.block_count),
+    'card_velocity',
+    `${velocity} tokens for this card in ${config.velocity.window_seconds}s`
+  );
+
+  // Thresholds are in the base currency, `baseAmount` is max_amount converted to it
+  const amount = baseAmount === undefined ? body.allowance.max_amount : baseAmount;
+  flag(
+    thresholdDecision(amount, config.amount.review_over + 1, config.amount.block_over + 1),
+    'amount_threshold',
+    `allowance max_amount ${body.allowance.max_amount} ${body.allowance.currency}`
+  );
+
+  const billingCountry = body.billing_address && body.billing_address.country;
+  const shippingCountry = session && session.fulfillment_address && session.fulfillment_address.country;
+  if (billingCountry && shippingCountry && billingCountry !== shippingCountry) {
+    flag(config.country_mismatch, 'country_mismatch', `billing country ${billingCountry} differs from shipping country ${shippingCountry}`);
+  }
+
+  const decision = reasons.reduce(
+    (worst, reason) => (DECISIONS.indexOf(reason.decision) > DECISIONS.indexOf(worst) ? reason.decision : worst),
+    'authorize'
+  );
+
+  return { decision, reasons, evaluated_at: new Date().toISOString() };
+};
+
+const riskError = (risk, param) => ({
+  type: 'invalid_request',
+  code: 'risk_blocked',
+  message: `Payment blocked by risk evaluation: ${risk.reasons.filter(reason => reason.decision === 'block').map(reason => reason.detail).join('; ')}`,
+  param
+});
+
+module.exports = { loadRiskConfig, cardFingerprint, evaluateRisk, riskError };
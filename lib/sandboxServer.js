@@ -0,0 +1,53 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Throwaway sandbox servers for command-line tools.
+//
+// Starts server.js on a free port, waits until it answers /health and hands
+// back its URL and a `stop` function, so tools like the replay and
+// conformance runners get a clean merchant per run. Storage is in-memory
+// unless STORAGE_DRIVER says otherwise, so the same run can check SQLite.
+
+const SERVER_FILE = path.join(__dirname, '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 15000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startSandbox = async ({ env = {} } = {}) => {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    env: { STORAGE_DRIVER: 'memory', ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const target = `http://localhost:${port}`;
+  const stop = () => {
+    if (child.exitCode === null) child.kill();
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Sandbox server exited with code ${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${target}/health`);
+      if (response.ok) return { target, stop };
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  stop();
+  throw new Error(`Sandbox server did not start within ${STARTUP_TIMEOUT_MS / 1000} seconds`);
+};
+
+module.exports = { startSandbox };
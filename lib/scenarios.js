@@ -0,0 +1,291 @@
+const { v4: uuidv4 } = require('uuid');
+const { requestPath } = require('./requestLog');
+const { fieldError, isPlainObject, isNonEmptyString } = require('./validation');
+
+// Fault injection for agent resilience testing.
+//
+// A scenario pairs a `match` (method, route pattern, checkout session id,
+// X-Sandbox-Scenario header) with an `action` applied to matching requests:
+// latency, an error response, a rate limit, a mutated response body or a
+// repriced session. Every injected fault is recorded in the event log.
+
+const SCENARIO_HEADER = 'x-sandbox-scenario';
+const ACTION_TYPES = ['latency', 'error', 'rate_limit', 'mutate_response', 'reprice'];
+const MAX_DELAY_MS = 120000;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// `/checkout_sessions/:id/complete` -> /^\/checkout_sessions\/[^/]+\/complete$/
+const routePattern = (route) => new RegExp(`^${route
+  .replace(/\/+$/, '')
+  .split('/')
+  .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+  .join('/')}/?$`);
+
+// Session id from the URL or a delegate_payment allowance
+const requestSessionId = (req) => {
+  const match = requestPath(req).match(/^\/checkout_sessions\/([^/]+)/);
+  if (match) return match[1];
+
+  const allowance = req.body && req.body.allowance;
+  return allowance && typeof allowance.checkout_session_id === 'string' ? allowance.checkout_session_id : null;
+};
+
+// Parse `$.a.b[0].c` into ['a', 'b', 0, 'c']
+const parsePath = (path) => String(path)
+  .replace(/^\$\.?/, '')
+  .split(/\.|\[(\d+)\]/)
+  .filter(part => part !== undefined && part !== '')
+  .map(part => (/^\d+$/.test(part) ? Number(part) : part));
+
+const setPath = (target, path, value) => {
+  const parts = parsePath(path);
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (node === null || typeof node !== 'object' || node[part] === undefined) return;
+    node = node[part];
+  }
+  if (node !== null && typeof node === 'object') {
+    node[parts[parts.length - 1]] = value;
+  }
+};
+
+const removePath = (target, path) => {
+  const parts = parsePath(path);
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (node === null || typeof node !== 'object' || node[part] === undefined) return;
+    node = node[part];
+  }
+  const last = parts[parts.length - 1];
+  if (Array.isArray(node) && typeof last === 'number') {
+    node.splice(last, 1);
+  } else if (node !== null && typeof node === 'object') {
+    delete node[last];
+  }
+};
+
+const validateMatch = (match) => {
+  if (!isPlainObject(match)) {
+    return fieldError('invalid', 'match must be an object', '$.match');
+  }
+  for (const field of ['method', 'route', 'session_id', 'header']) {
+    if (match[field] !== undefined && !isNonEmptyString(match[field])) {
+      return fieldError('invalid', `${field} must be a non-empty string`, `$.match.${field}`);
+    }
+  }
+  if (match.route !== undefined && !match.route.startsWith('/')) {
+    return fieldError('invalid', 'route must start with /', '$.match.route');
+  }
+  return null;
+};
+
+const validateAction = (action) => {
+  if (!isPlainObject(action) || !ACTION_TYPES.includes(action.type)) {
+    return fieldError('invalid', `action.type must be one of: ${ACTION_TYPES.join(', ')}`, '$.action.type');
+  }
+
+  switch (action.type) {
+    case 'latency':
+      if (!Number.isInteger(action.delay_ms) || action.delay_ms < 0 || action.delay_ms > MAX_DELAY_MS) {
+        return fieldError('invalid', `delay_ms must be an integer between 0 and ${MAX_DELAY_MS}`, '$.action.delay_ms');
+      }
+      break;
+    case 'error':
+      if (!Number.isInteger(action.status) || action.status < 400 || action.status > 599) {
+        return fieldError('invalid', 'status must be an HTTP error status between 400 and 599', '$.action.status');
+      }
+      if (action.body !== undefined && !isPlainObject(action.body)) {
+        return fieldError('invalid', 'body must be an object', '$.action.body');
+      }
+      break;
+    case 'rate_limit':
+      if (!isPositiveInteger(action.limit)) {
+        return fieldError('invalid', 'limit must be a positive integer', '$.action.limit');
+      }
+      if (!isPositiveInteger(action.window_seconds)) {
+        return fieldError('invalid', 'window_seconds must be a positive integer', '$.action.window_seconds');
+      }
+      break;
+    case 'mutate_response':
+      if (action.set !== undefined && !isPlainObject(action.set)) {
+        return fieldError('invalid', 'set must be an object of path -> value', '$.action.set');
+      }
+      if (action.remove !== undefined && (!Array.isArray(action.remove) || action.remove.some(path => typeof path !== 'string'))) {
+        return fieldError('invalid', 'remove must be an array of paths', '$.action.remove');
+      }
+      if (action.set === undefined && action.remove === undefined) {
+        return fieldError('invalid', 'mutate_response needs set or remove', '$.action');
+      }
+      break;
+    case 'reprice':
+      if (typeof action.percent !== 'number' || !Number.isFinite(action.percent) || action.percent <= -100 || action.percent === 0) {
+        return fieldError('invalid', 'percent must be a non-zero number above -100', '$.action.percent');
+      }
+      break;
+  }
+  return null;
+};
+
+// Validates a POST /sandbox/scenarios body, returns an ACP error or null
+const validateScenario = (body) => {
+  return validateMatch(body.match === undefined ? {} : body.match) ||
+    validateAction(body.action) ||
+    (body.times !== undefined && body.times !== null && !isPositiveInteger(body.times)
+      ? fieldError('invalid', 'times must be a positive integer', '$.times')
+      : null) ||
+    (body.description !== undefined && typeof body.description !== 'string'
+      ? fieldError('invalid', 'description must be a string', '$.description')
+      : null);
+};
+
+const createScenario = (body) => {
+  const now = new Date().toISOString();
+  const match = body.match || {};
+
+  return {
+    id: `scn_${uuidv4().slice(0, 12)}`,
+    description: body.description || null,
+    match: {
+      method: match.method ? match.method.toUpperCase() : null,
+      route: match.route || null,
+      session_id: match.session_id || null,
+      header: match.header || null
+    },
+    action: body.action,
+    times: body.times || null,
+    remaining: body.times || null,
+    triggered_count: 0,
+    recent_hits: [],
+    created_at: now,
+    updated_at: now
+  };
+};
+
+const matches = (scenario, req) => {
+  const { method, route, session_id: sessionId, header } = scenario.match;
+  return (!method || method === req.method) &&
+    (!route || routePattern(route).test(requestPath(req))) &&
+    (!sessionId || sessionId === requestSessionId(req)) &&
+    (!header || header === req.headers[SCENARIO_HEADER]);
+};
+
+// `reprice(sessionId, percent)` changes stored session prices for reprice actions
+const createScenarioMiddleware = ({ scenarios, events, reprice }) => {
+  const record = async (scenario, req, res, detail) => {
+    const event = {
+      id: `scnevt_${uuidv4().slice(0, 12)}`,
+      scenario_id: scenario.id,
+      action: scenario.action.type,
+      method: req.method,
+      path: requestPath(req),
+      session_id: requestSessionId(req),
+      detail,
+      created_at: new Date().toISOString()
+    };
+    await events.set(event.id, event);
+    res.append('X-Sandbox-Scenario-Applied', scenario.id);
+  };
+
+  // Apply one scenario: 'answered' when it responded to the request itself,
+  // 'applied' when it changed the request or response, 'skipped' otherwise
+  const apply = async (scenario, req, res) => {
+    const { action } = scenario;
+
+    switch (action.type) {
+      case 'latency':
+        await record(scenario, req, res, `${action.delay_ms}ms`);
+        await new Promise(resolve => setTimeout(resolve, action.delay_ms));
+        return 'applied';
+
+      case 'error':
+        await record(scenario, req, res, `HTTP ${action.status}`);
+        res.status(action.status).json(action.body || {
+          type: action.status >= 500 ? 'processing_error' : 'invalid_request',
+          code: action.status >= 500 ? 'internal_error' : 'invalid',
+          message: `Injected by sandbox scenario ${scenario.id}`
+        });
+        return 'answered';
+
+      case 'rate_limit': {
+        const now = Date.now();
+        const windowStart = now - action.window_seconds * 1000;
+        scenario.recent_hits = scenario.recent_hits.filter(hit => hit > windowStart);
+        if (scenario.recent_hits.length < action.limit) {
+          scenario.recent_hits.push(now);
+          return 'skipped';
+        }
+
+        const retryAfter = Math.max(1, Math.ceil((scenario.recent_hits[0] + action.window_seconds * 1000 - now) / 1000));
+        await record(scenario, req, res, `limit ${action.limit}/${action.window_seconds}s, retry after ${retryAfter}s`);
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+          type: 'invalid_request',
+          code: 'rate_limit_exceeded',
+          message: `Too many requests, retry after ${retryAfter} seconds`
+        });
+        return 'answered';
+      }
+
+      case 'mutate_response': {
+        await record(scenario, req, res, null);
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          if (body && typeof body === 'object') {
+            Object.entries(action.set || {}).forEach(([path, value]) => setPath(body, path, value));
+            (action.remove || []).forEach(path => removePath(body, path));
+          }
+          return json(body);
+        };
+        return 'applied';
+      }
+
+      // Missing or closed sessions leave the rule for a later request
+      case 'reprice': {
+        const sessionId = requestSessionId(req);
+        if (!sessionId || !await reprice(sessionId, action.percent)) {
+          return 'skipped';
+        }
+        await record(scenario, req, res, `${action.percent > 0 ? '+' : ''}${action.percent}%`);
+        return 'applied';
+      }
+    }
+    return 'skipped';
+  };
+
+  return async (req, res, next) => {
+    try {
+      const active = (await scenarios.list())
+        .filter(scenario => scenario.remaining !== 0 && matches(scenario, req))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+      for (const scenario of active) {
+        const triggeredBefore = scenario.recent_hits.length;
+        const outcome = await apply(scenario, req, res);
+
+        // Rate limits only count requests they reject, reprices only sessions they changed
+        const triggered = outcome !== 'skipped';
+        if (triggered) {
+          scenario.triggered_count += 1;
+          if (scenario.remaining !== null) scenario.remaining -= 1;
+        }
+        if (triggered || scenario.recent_hits.length !== triggeredBefore) {
+          scenario.updated_at = new Date().toISOString();
+          await scenarios.set(scenario.id, scenario);
+        }
+
+        if (outcome === 'answered') return;
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  validateScenario,
+  createScenario,
+  createScenarioMiddleware
+};
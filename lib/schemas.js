@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { RFC3339, fieldError } = require('./validation');
+
+// Request and response validation against the ACP JSON Schemas in schemas/.
+//
+// Each file is one JSON Schema document whose `$defs` hold the named
+// shapes, e.g. `agentic_checkout#CheckoutSessionCreateRequest`. Only the
+// keywords those files use are supported: type, enum, const, required,
+// properties, additionalProperties, items, minItems, minLength, maxLength,
+// pattern, minimum, format, anyOf, oneOf and `$ref` into the same document.
+// Violations become ACP errors whose `param` is the JSON path of the field.
+
+const FORMATS = {
+  'date-time': value => RFC3339.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^https?:\/\/\S+$/.test(value)
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const hasType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const typeName = (type) => {
+  if (type === 'null') return 'null';
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+};
+
+const childParam = (param, key) => (typeof key === 'number' ? `${param}[${key}]` : `${param}.${key}`);
+
+const depth = (param) => (param.match(/[.[]/g) || []).length;
+
+// First violation of `schema` by `value` at `param`, or null
+const check = (doc, schema, value, param) => {
+  if (schema.$ref) {
+    const name = schema.$ref.replace(/^#\/\$defs\//, '');
+    return check(doc, doc.$defs[name], value, param);
+  }
+
+  const union = schema.anyOf || schema.oneOf;
+  if (union) {
+    const errors = union.map(branch => check(doc, branch, value, param));
+    if (errors.some(error => !error)) return null;
+
+    // Report the branch that got furthest, e.g. the message type that matched
+    const deepest = errors.reduce((best, error) => (depth(error.param) > depth(best.param) ? error : best));
+    return depth(deepest.param) > depth(param) ? deepest : errors[0];
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      return fieldError('invalid', `${param} must be ${types.map(typeName).join(' or ')}`, param);
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return fieldError('invalid', `${param} must be ${JSON.stringify(schema.const)}`, param);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fieldError('invalid', `${param} must be one of: ${schema.enum.join(', ')}`, param);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fieldError('invalid', `${param} must not be empty`, param);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fieldError('invalid', `${param} must be at most ${schema.maxLength} characters`, param);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fieldError('invalid', `${param} must match ${schema.pattern}`, param);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      return fieldError('invalid', `${param} must be a valid ${schema.format}`, param);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    return fieldError('invalid', `${param} must be at least ${schema.minimum}`, param);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fieldError('invalid', `${param} must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`, param);
+    }
+    if (schema.items) {
+      for (let index = 0; index < value.length; index++) {
+        const error = check(doc, schema.items, value[index], childParam(param, index));
+        if (error) return error;
+      }
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        return fieldError('missing', `${childParam(param, key)} is required`, childParam(param, key));
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (properties[key]) {
+        const error = check(doc, properties[key], child, childParam(param, key));
+        if (error) return error;
+      } else if (schema.additionalProperties === false) {
+        return fieldError('invalid', `${childParam(param, key)} is not a recognized field`, childParam(param, key));
+      }
+    }
+  }
+
+  return null;
+};
+
+const loadSchemas = (dir) => {
+  const docs = new Map();
+
+  fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+    const doc = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    if (typeof doc.$id !== 'string' || !doc.$defs || typeof doc.$defs !== 'object') {
+      throw new Error(`Schema file ${file} needs an $id and $defs`);
+    }
+
+    // Fail at startup rather than on the first request that hits a typo
+    for (const [, ref] of JSON.stringify(doc).matchAll(/"\$ref":"([^"]*)"/g)) {
+      if (!ref.startsWith('#/$defs/') || !doc.$defs[ref.slice(8)]) {
+        throw new Error(`Schema file ${file} has an unresolvable $ref ${ref}`);
+      }
+    }
+    docs.set(doc.$id, doc);
+  });
+
+  const schemaFor = (id, name) => {
+    const doc = docs.get(id);
+    if (!doc || !doc.$defs[name]) {
+      throw new Error(`Unknown schema ${id}#${name}`);
+    }
+    return doc;
+  };
+
+  // ACP error for the first violation, or null
+  const validate = (id, name, value) => check(schemaFor(id, name), { $ref: `#/$defs/${name}` }, value, '$');
+
+  // Public summary for GET /api
+  const list = () => Array.from(docs.values()).map(doc => ({
+    id: doc.$id,
+    title: doc.title || doc.$id,
+    definitions: Object.keys(doc.$defs)
+  }));
+
+  return { docs, schemaFor, validate, list };
+};
+
+// Validate the request body against `request` and, in strict mode, every JSON
+// response against `response` (or the document's Error schema for 4xx/5xx)
+const createSchemaMiddleware = (registry, { strict }) => (id, { request, response } = {}) => {
+  if (request) registry.schemaFor(id, request);
+  if (response) registry.schemaFor(id, response);
+
+  return (req, res, next) => {
+    if (strict && response) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const name = res.statusCode >= 400 ? 'Error' : response;
+        const violation = registry.validate(id, name, body);
+        if (!violation) return json(body);
+
+        console.error(`⚠️  Response schema violation on ${req.method} ${req.originalUrl}: ${violation.message}`);
+        res.status(500);
+        return json({
+          type: 'processing_error',
+          code: 'response_schema_violation',
+          message: `Response does not match the ${id}#${name} schema: ${violation.message}`,
+          param: violation.param
+        });
+      };
+    }
+
+    if (request) {
+      const error = registry.validate(id, request, req.body === undefined ? {} : req.body);
+      if (error) {
+        return res.status(400).json(error);
+      }
+    }
+
+    next();
+  };
+};
+
+module.exports = { loadSchemas, createSchemaMiddleware };
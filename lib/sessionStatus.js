@@ -0,0 +1,41 @@
+// Checkout session state machine.
+//
+//   not_ready_for_payment <-> ready_for_payment -> in_progress -> completed
+//            \                        |                |
+//             +-------> canceled <----+                +-> ready_for_payment (payment failed)
+//
+// Routes ask `checkAction` whether an action is allowed from the current
+// status; every rejection uses the same 405 invalid_status error.
+
+const SESSION_STATUSES = ['not_ready_for_payment', 'ready_for_payment', 'in_progress', 'completed', 'canceled'];
+
+// Statuses each action may start from
+const ACTIONS = {
+  update: ['not_ready_for_payment', 'ready_for_payment'],
+  complete: ['ready_for_payment'],
+  cancel: ['not_ready_for_payment', 'ready_for_payment']
+};
+
+const checkAction = (session, action) => {
+  if (ACTIONS[action].includes(session.status)) return null;
+
+  return {
+    status: 405,
+    error: {
+      type: 'invalid_request',
+      code: 'invalid_status',
+      message: `Cannot ${action} session with status: ${session.status}`,
+      param: '$.status'
+    }
+  };
+};
+
+// A session is ready for payment once it has an address, a fulfillment
+// option and all of its stock reserved
+const isReadyForPayment = (session) => {
+  return Boolean(session.fulfillment_address) &&
+    Boolean(session.fulfillment_option_id) &&
+    !session.messages.some(message => message.code === 'out_of_stock');
+};
+
+module.exports = { SESSION_STATUSES, checkAction, isReadyForPayment };
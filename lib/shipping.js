@@ -0,0 +1,90 @@
+const fs = require('fs');
+
+// Rules-driven fulfillment options.
+//
+// Zones are matched in file order on country, state and postal code
+// prefix; the first match wins. A zone either lists shipping rates
+// (base amount plus a per-kilogram charge) or is marked unshippable.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loadShippingRules = (filePath) => {
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!rules || !Array.isArray(rules.zones)) {
+    throw new Error(`Shipping rules file ${filePath} must contain a zones array`);
+  }
+
+  rules.zones.forEach(zone => {
+    if (!zone.id || !Array.isArray(zone.countries)) {
+      throw new Error(`Shipping zone ${zone.id || '(unnamed)'} needs an id and a countries array`);
+    }
+    if (!zone.unshippable && (!Array.isArray(zone.rates) || zone.rates.length === 0)) {
+      throw new Error(`Shipping zone ${zone.id} needs rates or unshippable: true`);
+    }
+  });
+  return rules;
+};
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+const zoneMatches = (zone, address) => {
+  const country = normalize(address.country);
+  if (!zone.countries.includes('*') && !zone.countries.includes(country)) return false;
+
+  if (zone.states && !zone.states.includes(normalize(address.state))) return false;
+
+  if (zone.postal_prefixes) {
+    const postalCode = normalize(address.postal_code).replace(/\s/g, '');
+    if (!zone.postal_prefixes.some(prefix => postalCode.startsWith(normalize(prefix)))) return false;
+  }
+  return true;
+};
+
+const findZone = (rules, address) => rules.zones.find(zone => zoneMatches(zone, address)) || null;
+
+// Returns { zone, options, message } for an address and cart.
+// `message` is set when the address cannot be shipped to.
+const quoteShipping = (rules, address, { weightGrams, itemsSubtotal, now = Date.now() }) => {
+  const zone = findZone(rules, address);
+
+  if (!zone || zone.unshippable) {
+    return {
+      zone: zone ? zone.id : null,
+      options: [],
+      message: {
+        type: 'error',
+        code: 'invalid',
+        param: '$.fulfillment_address',
+        content_type: 'plain',
+        content: (zone && zone.reason) || `We are unable to ship to ${normalize(address.country)}.`
+      }
+    };
+  }
+
+  const weightKg = Math.max(1, Math.ceil(weightGrams / 1000));
+  const freeShipping = zone.free_shipping_over !== undefined && itemsSubtotal >= zone.free_shipping_over;
+
+  const options = zone.rates.map((rate, index) => {
+    // The free-shipping threshold only applies to the cheapest (first) rate
+    const subtotal = freeShipping && index === 0 ? 0 : rate.base_amount + (rate.per_kg_amount || 0) * weightKg;
+
+    return {
+      type: 'shipping',
+      id: `fulfillment_option_${rate.id}`,
+      title: rate.title,
+      subtitle: subtotal === 0 && freeShipping
+        ? `Free shipping, arrives in ${rate.min_days}-${rate.max_days} days`
+        : `Arrives in ${rate.min_days}-${rate.max_days} days`,
+      carrier: rate.carrier,
+      earliest_delivery_time: new Date(now + rate.min_days * DAY_MS).toISOString(),
+      latest_delivery_time: new Date(now + rate.max_days * DAY_MS).toISOString(),
+      subtotal: subtotal,
+      tax: 0,
+      total: subtotal
+    };
+  });
+
+  return { zone: zone.id, options, message: null };
+};
+
+module.exports = { loadShippingRules, quoteShipping };
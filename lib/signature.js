@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 payload signatures carried in the Merchant-Signature header.
+//
+// Header format: `t=<unix seconds>,v1=<hex digest>` where the digest is
+// computed over `<t>.<raw body>` with the shared secret.
+
+const SIGNATURE_HEADER = 'Merchant-Signature';
+
+const computeSignature = (secret, timestamp, payload) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+};
+
+const signPayload = (secret, payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, payload)}`;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+  String(header).split(',').forEach(part => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') parsed.timestamp = Number(value);
+    if (key === 'v1' && value) parsed.signatures.push(value);
+  });
+  return parsed;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a, 'utf8');
+  const right = Buffer.from(b, 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Verify a Merchant-Signature header against one or more candidate secrets.
+// Returns { valid: true, secret, timestamp } or { valid: false, code, message }.
+const verifySignature = (header, payload, secrets, toleranceSeconds, now = Math.floor(Date.now() / 1000)) => {
+  if (!header) {
+    return { valid: false, code: 'missing_signature', message: `${SIGNATURE_HEADER} header required` };
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    return {
+      valid: false,
+      code: 'invalid_signature',
+      message: `${SIGNATURE_HEADER} header must look like t=<timestamp>,v1=<signature>`
+    };
+  }
+
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    return {
+      valid: false,
+      code: 'signature_expired',
+      message: `Signature timestamp is outside the ${toleranceSeconds}s tolerance window`
+    };
+  }
+
+  for (const secret of secrets) {
+    const expected = computeSignature(secret, timestamp, payload);
+    if (signatures.some(signature => safeEqual(signature, expected))) {
+      return { valid: true, secret, timestamp };
+    }
+  }
+
+  return { valid: false, code: 'invalid_signature', message: 'Signature does not match the payload' };
+};
+
+module.exports = { SIGNATURE_HEADER, signPayload, generateSecret, verifySignature };
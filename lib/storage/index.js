@@ -0,0 +1,49 @@
+const { createMemoryDriver } = require('./memory');
+const { createSqliteDriver } = require('./sqlite');
+
+// Storage abstraction shared by every route.
+//
+// STORAGE_DRIVER selects the backend: `memory` (default, resets on restart)
+// or `sqlite` (persists to SQLITE_FILE, default ./sandbox.db). `defaultScope`
+// names the scope that documents stored before scoping are moved into.
+//
+// A collection opened with a `scope` (e.g. a merchant id) stores its
+// documents under `<scope>/<id>` and only sees its own documents.
+
+const DRIVERS = {
+  memory: () => createMemoryDriver(),
+  sqlite: (options) => createSqliteDriver(options.sqliteFile || 'sandbox.db', { defaultScope: options.defaultScope })
+};
+
+const createStore = (options = {}) => {
+  const driverName = options.driver || 'memory';
+  if (!DRIVERS[driverName]) {
+    throw new Error(`Unknown storage driver: ${driverName} (expected one of ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  const driver = DRIVERS[driverName](options);
+
+  // Collection handle bound to one table/map
+  const collection = (name, scope = null) => {
+    const prefix = scope ? `${scope}/` : '';
+
+    return {
+      name,
+      scope,
+      get: (id) => driver.get(name, prefix + id),
+      set: (id, document) => driver.set(name, prefix + id, document),
+      delete: (id) => driver.delete(name, prefix + id),
+      list: () => driver.list(name, prefix),
+      count: () => driver.count(name, prefix)
+    };
+  };
+
+  return {
+    driver: driver.name,
+    init: () => driver.init(),
+    close: () => driver.close(),
+    collection
+  };
+};
+
+module.exports = { createStore };
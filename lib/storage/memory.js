@@ -0,0 +1,48 @@
+// In-memory storage driver. Documents are cloned on the way in and out so
+// callers see the same copy semantics as the SQLite driver.
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const createMemoryDriver = () => {
+  const collections = new Map();
+
+  const table = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  return {
+    name: 'memory',
+
+    init: async () => {},
+
+    close: async () => {},
+
+    get: async (collection, id) => {
+      const document = table(collection).get(id);
+      return document === undefined ? undefined : clone(document);
+    },
+
+    set: async (collection, id, document) => {
+      table(collection).set(id, clone(document));
+    },
+
+    delete: async (collection, id) => {
+      return table(collection).delete(id);
+    },
+
+    list: async (collection, prefix = '') => {
+      return Array.from(table(collection).entries())
+        .filter(([id]) => id.startsWith(prefix))
+        .map(([, document]) => clone(document));
+    },
+
+    count: async (collection, prefix = '') => {
+      return Array.from(table(collection).keys()).filter(id => id.startsWith(prefix)).length;
+    }
+  };
+};
+
+module.exports = { createMemoryDriver };
@@ -0,0 +1,116 @@
+// Schema migrations for the SQLite driver, applied in order at startup.
+//
+// Each collection is a document table keyed by id with the JSON body in
+// `data`. Append new migrations to the end; never edit an applied one.
+// `up` is a list of statements, or a function of the store options that
+// returns one; a statement is SQL or `{ sql, params }`.
+
+const documentTable = (name) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )
+`;
+
+// Tables that held one merchant's documents before ids were scoped
+const MERCHANT_COLLECTIONS = [
+  'checkout_sessions',
+  'orders',
+  'payment_tokens',
+  'webhook_endpoints',
+  'webhook_deliveries',
+  'promotion_usage',
+  'inventory_levels',
+  'inventory_reservations',
+  'sandbox_scenarios',
+  'scenario_events'
+];
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create_core_collections',
+    up: [
+      documentTable('checkout_sessions'),
+      documentTable('orders'),
+      documentTable('payment_tokens')
+    ]
+  },
+  {
+    version: 2,
+    name: 'create_webhook_collections',
+    up: [
+      documentTable('webhook_endpoints'),
+      documentTable('webhook_deliveries')
+    ]
+  },
+  {
+    version: 3,
+    name: 'create_webhook_events',
+    up: [
+      documentTable('webhook_events')
+    ]
+  },
+  {
+    version: 4,
+    name: 'create_idempotency_keys',
+    up: [
+      documentTable('idempotency_keys')
+    ]
+  },
+  {
+    version: 5,
+    name: 'create_promotion_usage',
+    up: [
+      documentTable('promotion_usage')
+    ]
+  },
+  {
+    version: 6,
+    name: 'create_inventory',
+    up: [
+      documentTable('inventory_levels'),
+      documentTable('inventory_reservations')
+    ]
+  },
+  {
+    version: 7,
+    name: 'create_sandbox_scenarios',
+    up: [
+      documentTable('sandbox_scenarios'),
+      documentTable('scenario_events')
+    ]
+  },
+  {
+    version: 8,
+    name: 'create_request_log',
+    up: [
+      documentTable('request_log')
+    ]
+  },
+  {
+    version: 9,
+    name: 'create_catalog_prices',
+    up: [
+      documentTable('catalog_prices')
+    ]
+  },
+  {
+    // Rows written before data was kept per merchant belong to the default merchant
+    version: 10,
+    name: 'scope_documents_to_default_merchant',
+    up: ({ defaultScope }) => {
+      if (!defaultScope) {
+        throw new Error('a default merchant is required to scope existing documents');
+      }
+      return MERCHANT_COLLECTIONS.map(name => ({
+        sql: `UPDATE ${name} SET id = ? || '/' || id WHERE instr(id, '/') = 0`,
+        params: [defaultScope]
+      }));
+    }
+  }
+];
+
+module.exports = { migrations };
@@ -0,0 +1,108 @@
+const { migrations } = require('./migrations');
+
+// SQLite storage driver backed by the sqlite3 package.
+
+const createSqliteDriver = (filename, options = {}) => {
+  let db = null;
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (error) {
+      if (error) return reject(error);
+      resolve({ changes: this.changes });
+    });
+  });
+
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+  });
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+  });
+
+  const migrate = async () => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set((await all('SELECT version FROM schema_migrations')).map(row => row.version));
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      await run('BEGIN');
+      try {
+        const statements = typeof migration.up === 'function' ? migration.up(options) : migration.up;
+        for (const statement of statements) {
+          if (typeof statement === 'string') await run(statement);
+          else await run(statement.sql, statement.params);
+        }
+        await run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+        await run('COMMIT');
+      } catch (error) {
+        await run('ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+    }
+  };
+
+  return {
+    name: 'sqlite',
+
+    init: async () => {
+      // Required lazily so the memory driver works without the native module
+      const sqlite3 = require('sqlite3');
+      db = await new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(filename, (error) => (error ? reject(error) : resolve(database)));
+      });
+      await migrate();
+    },
+
+    close: async () => {
+      if (!db) return;
+      await new Promise((resolve, reject) => db.close(error => (error ? reject(error) : resolve())));
+      db = null;
+    },
+
+    get: async (collection, id) => {
+      const row = await get(`SELECT data FROM ${collection} WHERE id = ?`, [id]);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+
+    set: async (collection, id, document) => {
+      const now = new Date().toISOString();
+      await run(
+        `INSERT INTO ${collection} (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+        [id, JSON.stringify(document), now, now]
+      );
+    },
+
+    delete: async (collection, id) => {
+      const result = await run(`DELETE FROM ${collection} WHERE id = ?`, [id]);
+      return result.changes > 0;
+    },
+
+    list: async (collection, prefix = '') => {
+      const rows = await all(
+        `SELECT data FROM ${collection} WHERE substr(id, 1, ?) = ? ORDER BY created_at, rowid`,
+        [prefix.length, prefix]
+      );
+      return rows.map(row => JSON.parse(row.data));
+    },
+
+    count: async (collection, prefix = '') => {
+      const row = await get(`SELECT COUNT(*) AS count FROM ${collection} WHERE substr(id, 1, ?) = ?`, [prefix.length, prefix]);
+      return row.count;
+    }
+  };
+};
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+
+// Tax tables by jurisdiction.
+//
+// A jurisdiction is a country, optionally narrowed to a state/province.
+// The most specific match wins. Rates are decimals; `tax_code_rates`
+// overrides the rate for products with that tax code, and `tax_shipping`
+// says whether fulfillment charges are taxed.
+
+const NO_TAX = { id: null, rate: 0, tax_shipping: false, tax_code_rates: {} };
+
+const loadTaxRules = (filePath) => {
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!rules || !Array.isArray(rules.jurisdictions)) {
+    throw new Error(`Tax rules file ${filePath} must contain a jurisdictions array`);
+  }
+
+  rules.jurisdictions.forEach(jurisdiction => {
+    if (!jurisdiction.id || !jurisdiction.country || typeof jurisdiction.rate !== 'number') {
+      throw new Error(`Tax jurisdiction ${jurisdiction.id || '(unnamed)'} needs an id, country and numeric rate`);
+    }
+  });
+  return rules;
+};
+
+// No address means no jurisdiction yet, so nothing is taxed
+const findJurisdiction = (rules, address) => {
+  if (!address || !address.country) return NO_TAX;
+
+  const country = String(address.country).toUpperCase();
+  const state = String(address.state || '').toUpperCase();
+  const match = rules.jurisdictions.find(j => j.country === country && j.state && j.state === state) ||
+    rules.jurisdictions.find(j => j.country === country && !j.state);
+
+  return match ? { tax_code_rates: {}, tax_shipping: false, ...match } : NO_TAX;
+};
+
+const rateFor = (jurisdiction, taxCode) => {
+  if (taxCode && jurisdiction.tax_code_rates[taxCode] !== undefined) {
+    return jurisdiction.tax_code_rates[taxCode];
+  }
+  return jurisdiction.rate;
+};
+
+const itemTax = (jurisdiction, taxCode, amount) => Math.floor(amount * rateFor(jurisdiction, taxCode));
+
+const shippingTax = (jurisdiction, amount) => (jurisdiction.tax_shipping ? Math.floor(amount * jurisdiction.rate) : 0);
+
+module.exports = { loadTaxRules, findJurisdiction, itemTax, shippingTax };
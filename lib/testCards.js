@@ -0,0 +1,132 @@
+// Magic test card numbers and amounts, following Stripe's test-card
+// convention for numbers and Braintree's amount ranges for charge results.
+//
+// `stage` says where the outcome surfaces: `delegate` fails tokenization in
+// /agentic_commerce/delegate_payment, `complete` fails the charge in
+// /checkout_sessions/:id/complete.
+
+const OUTCOMES = {
+  card_declined: {
+    stage: 'complete',
+    status: 402,
+    type: 'invalid_request',
+    code: 'payment_declined',
+    decline_code: 'card_declined',
+    message_code: 'payment_declined',
+    message: 'Your card was declined.'
+  },
+  insufficient_funds: {
+    stage: 'complete',
+    status: 402,
+    type: 'invalid_request',
+    code: 'payment_declined',
+    decline_code: 'insufficient_funds',
+    message_code: 'payment_declined',
+    message: 'Your card has insufficient funds.'
+  },
+  expired_card: {
+    stage: 'delegate',
+    status: 400,
+    type: 'invalid_request',
+    code: 'expired_card',
+    decline_code: 'expired_card',
+    message_code: 'invalid',
+    message: 'Your card has expired.',
+    param: '$.payment_method.exp_year'
+  },
+  incorrect_cvc: {
+    stage: 'delegate',
+    status: 400,
+    type: 'invalid_request',
+    code: 'incorrect_cvc',
+    decline_code: 'incorrect_cvc',
+    message_code: 'invalid',
+    message: "Your card's security code is incorrect.",
+    param: '$.payment_method.cvc'
+  },
+  processing_error: {
+    stage: 'complete',
+    status: 502,
+    type: 'processing_error',
+    code: 'processing_error',
+    decline_code: 'processing_error',
+    message_code: 'payment_declined',
+    message: 'An error occurred while processing your card. Try again.'
+  },
+  authentication_required: {
+    stage: 'complete',
+    status: 402,
+    type: 'invalid_request',
+    code: 'requires_3ds',
+    decline_code: 'authentication_required',
+    message_code: 'requires_3ds',
+    message: 'This payment requires 3D Secure authentication.'
+  }
+};
+
+const TEST_CARDS = [
+  { number: '4242424242424242', brand: 'visa', outcome: 'succeeded' },
+  { number: '5555555555554444', brand: 'mastercard', outcome: 'succeeded' },
+  { number: '378282246310005', brand: 'amex', outcome: 'succeeded' },
+  { number: '4000000000000002', brand: 'visa', outcome: 'card_declined' },
+  { number: '4000000000009995', brand: 'visa', outcome: 'insufficient_funds' },
+  { number: '4000000000000069', brand: 'visa', outcome: 'expired_card' },
+  { number: '4000000000000127', brand: 'visa', outcome: 'incorrect_cvc' },
+  { number: '4000000000000119', brand: 'visa', outcome: 'processing_error' },
+  { number: '4000000000003220', brand: 'visa', outcome: 'authentication_required' }
+];
+
+// Session totals (minor units, inclusive) that fail the charge on any card
+const TEST_AMOUNTS = [
+  { min_amount: 200000, max_amount: 200099, outcome: 'card_declined' },
+  { min_amount: 200100, max_amount: 200199, outcome: 'insufficient_funds' },
+  { min_amount: 300000, max_amount: 300099, outcome: 'processing_error' },
+  { min_amount: 400000, max_amount: 400099, outcome: 'authentication_required' }
+];
+
+const cardOutcome = (number) => {
+  const card = TEST_CARDS.find(entry => entry.number === String(number || '').replace(/\s/g, ''));
+  return card && OUTCOMES[card.outcome] ? { name: card.outcome, ...OUTCOMES[card.outcome] } : null;
+};
+
+// Outcome that fails tokenization, or null
+const delegateOutcome = (number) => {
+  const outcome = cardOutcome(number);
+  return outcome && outcome.stage === 'delegate' ? outcome : null;
+};
+
+// Outcome that fails the charge for this card and amount, or null
+const chargeOutcome = (number, amount) => {
+  const outcome = cardOutcome(number);
+  if (outcome && outcome.stage === 'complete') return outcome;
+
+  const range = TEST_AMOUNTS.find(entry => amount >= entry.min_amount && amount <= entry.max_amount);
+  return range ? { name: range.outcome, ...OUTCOMES[range.outcome] } : null;
+};
+
+// ACP error body for a failed outcome
+const outcomeError = (outcome, param) => ({
+  type: outcome.type,
+  code: outcome.code,
+  decline_code: outcome.decline_code,
+  message: outcome.message,
+  param: outcome.param || param
+});
+
+// ACP session message for a failed outcome
+const outcomeMessage = (outcome, param) => ({
+  type: 'error',
+  code: outcome.message_code,
+  param: outcome.param || param,
+  content_type: 'plain',
+  content: outcome.message
+});
+
+module.exports = {
+  TEST_CARDS,
+  TEST_AMOUNTS,
+  delegateOutcome,
+  chargeOutcome,
+  outcomeError,
+  outcomeMessage
+};
@@ -0,0 +1,14 @@
+// Helpers shared by the request validators.
+//
+// Validators return an ACP error whose `param` is the JSON path of the
+// offending field, or null when the value is well formed.
+
+const RFC3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const fieldError = (code, message, param) => ({ type: 'invalid_request', code, message, param });
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+module.exports = { RFC3339, fieldError, isPlainObject, isNonEmptyString };
@@ -0,0 +1,149 @@
+const { v4: uuidv4 } = require('uuid');
+const { SIGNATURE_HEADER, signPayload } = require('./signature');
+
+// Outbound merchant-to-agent webhook delivery.
+//
+// Events are fanned out to every registered endpoint subscribed to the
+// event type. Each delivery is signed, retried with exponential backoff
+// and recorded in the delivery log. `onDelivery` hears about every queued
+// delivery and every attempt.
+
+const WEBHOOK_EVENT_TYPES = ['order_created', 'order_updated'];
+
+const createWebhookDispatcher = ({
+  endpoints,
+  deliveries,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  timeoutMs = 5000,
+  onDelivery = () => {}
+}) => {
+  const backoffDelay = (attemptCount) => baseDelayMs * Math.pow(2, attemptCount - 1);
+
+  const schedule = (deliveryId, delayMs) => {
+    const timer = setTimeout(() => {
+      attempt(deliveryId).catch(error => {
+        console.error(`Webhook delivery ${deliveryId} error:`, error);
+      });
+    }, delayMs);
+    timer.unref();
+  };
+
+  const attempt = async (deliveryId) => {
+    const delivery = await deliveries.get(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const endpoint = await endpoints.get(delivery.endpoint_id);
+    if (!endpoint) {
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+      delivery.attempts.push({
+        attempted_at: new Date().toISOString(),
+        response_status: null,
+        error: 'Webhook endpoint was deleted'
+      });
+      await deliveries.set(deliveryId, delivery);
+      onDelivery('attempted', delivery);
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const record = { attempted_at: new Date().toISOString(), response_status: null, error: null };
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: signPayload(endpoint.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      record.response_status = response.status;
+      if (!response.ok) {
+        record.error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      record.error = error.message;
+    }
+
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'succeeded';
+      delivery.next_attempt_at = null;
+    } else if (delivery.attempts.length >= maxAttempts) {
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+    } else {
+      const delayMs = backoffDelay(delivery.attempts.length);
+      delivery.next_attempt_at = new Date(Date.now() + delayMs).toISOString();
+      schedule(deliveryId, delayMs);
+    }
+
+    delivery.updated_at = new Date().toISOString();
+    await deliveries.set(deliveryId, delivery);
+    onDelivery('attempted', delivery);
+  };
+
+  // Queue an event for every subscribed endpoint, returns the deliveries
+  const emit = async (type, data) => {
+    const event = {
+      id: `evt_${uuidv4().slice(0, 12)}`,
+      type,
+      created_at: new Date().toISOString()
+    };
+    // The id and creation time are signed with the body so receivers can
+    // drop retried deliveries they already handled
+    const payload = { id: event.id, type, created_at: event.created_at, data };
+
+    const subscribed = (await endpoints.list()).filter(endpoint => endpoint.events.includes(type));
+    const queued = [];
+
+    for (const endpoint of subscribed) {
+      const delivery = {
+        id: `whdel_${uuidv4().slice(0, 12)}`,
+        event_id: event.id,
+        event_type: type,
+        endpoint_id: endpoint.id,
+        url: endpoint.url,
+        status: 'pending',
+        payload,
+        attempts: [],
+        next_attempt_at: event.created_at,
+        created_at: event.created_at,
+        updated_at: event.created_at
+      };
+      await deliveries.set(delivery.id, delivery);
+      onDelivery('queued', delivery);
+      schedule(delivery.id, 0);
+      queued.push(delivery);
+    }
+
+    return queued;
+  };
+
+  // ACP order event payload
+  const emitOrderEvent = (type, order) => emit(type, {
+    type: 'order',
+    checkout_session_id: order.checkout_session_id,
+    permalink_url: order.permalink_url,
+    status: order.status,
+    refunds: order.refunds || []
+  });
+
+  // Reschedule deliveries left pending by a previous process
+  const resume = async () => {
+    const pending = (await deliveries.list()).filter(delivery => delivery.status === 'pending');
+    pending.forEach(delivery => {
+      const dueIn = Date.parse(delivery.next_attempt_at) - Date.now();
+      schedule(delivery.id, Math.max(0, dueIn || 0));
+    });
+    return pending.length;
+  };
+
+  return { emit, emitOrderEvent, resume };
+};
+
+module.exports = { WEBHOOK_EVENT_TYPES, createWebhookDispatcher };
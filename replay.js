@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+// ACP Sandbox request log replay
+//
+// Re-runs exchanges exported from GET /sandbox/logs?format=jsonl against a
+// fresh sandbox server and diffs every response with the recorded one.
+//
+//   node replay.js <log.jsonl> [--session <checkout_session_id>] [--target <url>] [--api-key <key>]
+//
+// Without --target a server is started on a free port with in-memory
+// storage (or the driver STORAGE_DRIVER names) and stopped afterwards. Ids
+// created by the replay are mapped back to the recorded ones and timestamps
+// are ignored when comparing. Masked card numbers become the matching magic
+// test card (or a Luhn-valid number with the same visible digits), and
+// allowance expiry times keep their original distance from the request.
+// Exits with 1 when any response differs.
+
+const fs = require('fs');
+const path = require('path');
+const { loadMerchants } = require('./lib/merchants');
+const { TEST_CARDS } = require('./lib/testCards');
+const { passesLuhn } = require('./lib/paymentValidation');
+const { REDACTED, byArrival, sessionTimeline, maskBody } = require('./lib/requestLog');
+const { startSandbox } = require('./lib/sandboxServer');
+
+const REPLAYED_HEADERS = ['content-type', 'api-version', 'idempotency-key', 'x-sandbox-scenario'];
+const MASKED_CARD = /^\d{6}\*+\d{4}$/;
+const ID_PATTERN = /^(checkout_session|vt|ord|line_item)_[\w-]+$/;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const parseArgs = (argv) => {
+  const options = { file: null, session: null, target: null, apiKey: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--session') options.session = argv[++i];
+    else if (argv[i] === '--target') options.target = argv[++i];
+    else if (argv[i] === '--api-key') options.apiKey = argv[++i];
+    else if (!options.file) options.file = argv[i];
+  }
+  return options;
+};
+
+// Entries in arrival order, limited to one session's timeline when asked
+const readEntries = (file, sessionId) => {
+  const entries = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+
+  return sessionId ? sessionTimeline(entries, sessionId) : entries.sort(byArrival);
+};
+
+// 424242******4242 -> the magic test card it was, or any valid match
+const unmaskCardNumber = (masked) => {
+  const pattern = new RegExp(`^${masked.replace(/\*/g, '\\d')}$`);
+  const testCard = TEST_CARDS.find(card => pattern.test(card.number));
+  if (testCard) return testCard.number;
+
+  for (let digit = 0; digit <= 9; digit++) {
+    const candidate = masked.replace('*', String(digit)).replace(/\*/g, '0');
+    if (passesLuhn(candidate)) return candidate;
+  }
+  return masked.replace(/\*/g, '0');
+};
+
+// Undo the log's masking so the request can be sent again
+const restoreBody = (value, shiftMs) => {
+  if (Array.isArray(value)) return value.map(item => restoreBody(item, shiftMs));
+  if (!value || typeof value !== 'object') {
+    return typeof value === 'string' && MASKED_CARD.test(value) ? unmaskCardNumber(value) : value;
+  }
+
+  const restored = Object.fromEntries(Object.entries(value).map(([key, child]) => [key, restoreBody(child, shiftMs)]));
+  if (restored.cvc === REDACTED) {
+    restored.cvc = /^3[47]/.test(restored.number || '') ? '1234' : '123';
+  }
+  if (restored.cryptogram === REDACTED) {
+    delete restored.cryptogram;
+  }
+  if (typeof restored.expires_at === 'string' && TIMESTAMP.test(restored.expires_at)) {
+    restored.expires_at = new Date(Date.parse(restored.expires_at) + shiftMs).toISOString();
+  }
+  return restored;
+};
+
+// Learn recorded id -> replayed id from two responses to the same request
+const learnIds = (recorded, replayed, ids) => {
+  if (typeof recorded === 'string' && typeof replayed === 'string') {
+    if (ID_PATTERN.test(recorded) && recorded !== replayed && !ids.has(recorded)) {
+      ids.set(recorded, replayed);
+    }
+    return;
+  }
+  if (recorded && replayed && typeof recorded === 'object' && typeof replayed === 'object') {
+    Object.keys(recorded).forEach(key => learnIds(recorded[key], replayed[key], ids));
+  }
+};
+
+const mapIds = (value, ids) => {
+  if (typeof value === 'string') {
+    let mapped = value;
+    ids.forEach((to, from) => {
+      mapped = mapped.split(from).join(to);
+    });
+    return mapped;
+  }
+  if (Array.isArray(value)) return value.map(item => mapIds(item, ids));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, mapIds(child, ids)]));
+  }
+  return value;
+};
+
+const normalize = (value) => {
+  if (typeof value === 'string') return TIMESTAMP.test(value) ? '<timestamp>' : value;
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, normalize(child)]));
+  }
+  return value;
+};
+
+const show = (value) => (value === undefined ? '(missing)' : JSON.stringify(value));
+
+// `$.path: recorded → replayed` for every difference
+const diff = (recorded, replayed, at = '$', changes = []) => {
+  if (recorded === replayed) return changes;
+
+  const comparable = recorded && replayed && typeof recorded === 'object' && typeof replayed === 'object' &&
+    Array.isArray(recorded) === Array.isArray(replayed);
+  if (!comparable) {
+    changes.push(`${at}: ${show(recorded)} → ${show(replayed)}`);
+    return changes;
+  }
+
+  new Set([...Object.keys(recorded), ...Object.keys(replayed)]).forEach(key => {
+    diff(recorded[key], replayed[key], Array.isArray(recorded) ? `${at}[${key}]` : `${at}.${key}`, changes);
+  });
+  return changes;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: node replay.js <log.jsonl> [--session <checkout_session_id>] [--target <url>] [--api-key <key>]');
+    process.exit(2);
+  }
+
+  const entries = readEntries(options.file, options.session);
+  if (entries.length === 0) {
+    console.error(`No exchanges to replay in ${options.file}`);
+    process.exit(2);
+  }
+
+  // Logged credentials are redacted, so authenticate as the recorded merchant
+  const merchants = loadMerchants(process.env.MERCHANTS_FILE || path.join(__dirname, 'data', 'merchants.json'));
+  const apiKeyFor = (merchantId) => options.apiKey ||
+    (merchants.find(merchant => merchant.id === merchantId) || merchants[0]).api_keys[0];
+
+  const server = options.target ? { target: options.target.replace(/\/+$/, ''), stop: () => {} } : await startSandbox();
+  console.log(`🔁 Replaying ${entries.length} exchanges against ${server.target}\n`);
+
+  const ids = new Map();
+  let differing = 0;
+
+  try {
+    for (const [index, entry] of entries.entries()) {
+      const headers = { Authorization: `Bearer ${apiKeyFor(entry.merchant_id)}` };
+      REPLAYED_HEADERS.forEach(name => {
+        if (entry.request.headers[name] !== undefined) headers[name] = entry.request.headers[name];
+      });
+
+      const query = new URLSearchParams(mapIds(entry.query || {}, ids)).toString();
+      const url = `${server.target}${mapIds(entry.path, ids)}${query ? `?${query}` : ''}`;
+      const hasBody = entry.request.body !== null && entry.method !== 'GET';
+      if (hasBody && !headers['content-type']) headers['content-type'] = 'application/json';
+
+      const response = await fetch(url, {
+        method: entry.method,
+        headers,
+        body: hasBody
+          ? JSON.stringify(restoreBody(mapIds(entry.request.body, ids), Date.now() - Date.parse(entry.received_at)))
+          : undefined
+      });
+      const text = await response.text();
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        body = text;
+      }
+
+      learnIds(entry.response.body, body, ids);
+      const changes = diff(normalize(mapIds(entry.response.body, ids)), normalize(maskBody(body)));
+      if (entry.response.status !== response.status) {
+        changes.unshift(`status: ${entry.response.status} → ${response.status}`);
+      }
+
+      const label = `${index + 1}. ${entry.method} ${entry.path}`;
+      if (changes.length === 0) {
+        console.log(`✅ ${label} ${response.status}`);
+      } else {
+        differing++;
+        console.log(`❌ ${label}`);
+        changes.forEach(change => console.log(`   ${change}`));
+      }
+    }
+  } finally {
+    server.stop();
+  }
+
+  console.log(differing === 0
+    ? '\n🎉 Every response matches the recording'
+    : `\n⚠️  ${differing} of ${entries.length} responses differ from the recording`);
+  process.exitCode = differing === 0 ? 0 : 1;
+};
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
@@ -4,23 +4,236 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const path = require('path');
 require('dotenv').config();
+const { loadCatalog } = require('./lib/catalog');
+const { parseFeedQuery, queryFeed, toDelimited } = require('./lib/productFeed');
+const { createStore } = require('./lib/storage');
+const { WEBHOOK_EVENT_TYPES, createWebhookDispatcher } = require('./lib/webhooks');
+const { SIGNATURE_HEADER, generateSecret, verifySignature } = require('./lib/signature');
+const { createIdempotencyMiddleware } = require('./lib/idempotency');
+const { validateTokenForSession, sessionTotal } = require('./lib/paymentTokens');
+const {
+  TEST_CARDS,
+  TEST_AMOUNTS,
+  delegateOutcome,
+  chargeOutcome,
+  outcomeError,
+  outcomeMessage
+} = require('./lib/testCards');
+const { validateDelegatePayment } = require('./lib/paymentValidation');
+const { loadShippingRules, quoteShipping } = require('./lib/shipping');
+const { loadTaxRules, findJurisdiction, itemTax, shippingTax } = require('./lib/tax');
+const { loadPromotions, applyPromotions } = require('./lib/promotions');
+const { createInventory } = require('./lib/inventory');
+const { SESSION_STATUSES, checkAction, isReadyForPayment } = require('./lib/sessionStatus');
+const { createExpiry } = require('./lib/expiry');
+const {
+  ORDER_STATUSES,
+  checkOrderAction,
+  validateShipment,
+  validateRefund,
+  refundableAmount,
+  addRefund,
+  setOrderStatus
+} = require('./lib/orders');
+const { validateScenario, createScenario, createScenarioMiddleware } = require('./lib/scenarios');
+const { loadRiskConfig, cardFingerprint, evaluateRisk, riskError } = require('./lib/risk');
+const { loadMerchants, bearerToken } = require('./lib/merchants');
+const { loadApiVersions, createVersionMiddleware } = require('./lib/apiVersions');
+const { loadSchemas, createSchemaMiddleware } = require('./lib/schemas');
+const { formatAmount, loadCurrencies } = require('./lib/currency');
+const { maskBody, createRequestLog } = require('./lib/requestLog');
+const { parsePaging, searchDocuments, clearCollections } = require('./lib/admin');
+const { parseEventFilters, createEventStream } = require('./lib/eventStream');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Simulated card processing time, sessions report in_progress meanwhile
+const PAYMENT_PROCESSING_DELAY_MS = parseInt(process.env.PAYMENT_PROCESSING_DELAY_MS, 10) || 0;
 
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(morgan('combined'));
-app.use(express.json());
+app.use(express.json({
+  // Keep the exact bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
+
+// Merchants and their API keys (override with MERCHANTS_FILE)
+const merchantConfigs = loadMerchants(process.env.MERCHANTS_FILE || path.join(__dirname, 'data', 'merchants.json'));
+
+// Storage (STORAGE_DRIVER=memory|sqlite, SQLITE_FILE for the sqlite path).
+// Data stored before it was kept per merchant goes to the first merchant.
+const store = createStore({
+  driver: process.env.STORAGE_DRIVER || 'memory',
+  sqliteFile: process.env.SQLITE_FILE,
+  defaultScope: merchantConfigs[0].id
+});
+// Shared by every merchant
+const webhookEvents = store.collection('webhook_events');
+const idempotencyKeys = store.collection('idempotency_keys');
+
+// Live activity for GET /sandbox/events (EVENT_STREAM_HEARTBEAT_SECONDS)
+const eventStream = createEventStream({
+  heartbeatMs: (parseInt(process.env.EVENT_STREAM_HEARTBEAT_SECONDS, 10) || 15) * 1000
+});
+
+// Session and order events carry the whole document, token events the masked token
+const publishSession = (merchant, action, session) => eventStream.publish({
+  type: `checkout_session.${action}`,
+  merchantId: merchant.id,
+  sessionId: session.id,
+  data: session
+});
+
+const publishOrder = (merchant, action, order, extra = {}) => eventStream.publish({
+  type: `order.${action}`,
+  merchantId: merchant.id,
+  sessionId: order.checkout_session_id,
+  data: { ...order, ...extra }
+});
+
+const publishToken = (merchant, token) => eventStream.publish({
+  type: 'payment_token.created',
+  merchantId: merchant.id,
+  sessionId: token.allowance.checkout_session_id,
+  data: maskBody(token)
+});
+
+const publishDelivery = (merchant, action, delivery) => eventStream.publish({
+  type: `webhook_delivery.${action}`,
+  merchantId: merchant.id,
+  sessionId: delivery.payload.data.checkout_session_id || null,
+  data: delivery
+});
+
+// Risk engine thresholds (override with RISK_CONFIG_FILE)
+const riskConfig = loadRiskConfig(process.env.RISK_CONFIG_FILE);
+
+// Supported currencies and fixed conversion rates (override with CURRENCIES_FILE)
+const currencies = loadCurrencies(process.env.CURRENCIES_FILE || path.join(__dirname, 'data', 'currencies.json'));
+
+// Files for merchants that don't name their own (CATALOG_FILE may be
+// .json/.csv/.tsv, SHIPPING_RULES_FILE, TAX_RULES_FILE, PROMOTIONS_FILE)
+const DEFAULT_MERCHANT_FILES = {
+  catalog_file: process.env.CATALOG_FILE || path.join(__dirname, 'data', 'products.json'),
+  shipping_rules_file: process.env.SHIPPING_RULES_FILE || path.join(__dirname, 'data', 'shipping_rules.json'),
+  tax_rules_file: process.env.TAX_RULES_FILE || path.join(__dirname, 'data', 'tax_rates.json'),
+  promotions_file: process.env.PROMOTIONS_FILE || path.join(__dirname, 'data', 'promotions.json')
+};
+
+// Everything one merchant owns: scoped storage, catalog and pricing rules,
+// stock, outbound webhooks, session expiry and fault injection
+const createMerchantContext = (config) => {
+  const collection = (name) => store.collection(name, config.id);
+  const fileFor = (field) => config[field] || DEFAULT_MERCHANT_FILES[field];
+
+  const merchant = {
+    id: config.id,
+    name: config.name,
+    currency: config.currency,
+    apiKeys: config.api_keys,
+    webhookSecret: config.webhook_secret,
+    checkoutSessions: collection('checkout_sessions'),
+    orders: collection('orders'),
+    paymentTokens: collection('payment_tokens'),
+    webhookEndpoints: collection('webhook_endpoints'),
+    webhookDeliveries: collection('webhook_deliveries'),
+    promotionUsage: collection('promotion_usage'),
+    sandboxScenarios: collection('sandbox_scenarios'),
+    scenarioEvents: collection('scenario_events'),
+    requestLogEntries: collection('request_log'),
+    catalogPrices: collection('catalog_prices'),
+    catalog: loadCatalog(fileFor('catalog_file')),
+    shippingRules: loadShippingRules(fileFor('shipping_rules_file')),
+    taxRules: loadTaxRules(fileFor('tax_rules_file')),
+    promotions: loadPromotions(fileFor('promotions_file'))
+  };
+
+  if (!currencies.isSupported(merchant.currency)) {
+    throw new Error(`Merchant ${merchant.id} currency ${merchant.currency} has no conversion rate`);
+  }
+  const unconvertible = merchant.catalog.list().find(product => !currencies.isSupported(product.currency));
+  if (unconvertible) {
+    throw new Error(`Product ${unconvertible.id} of merchant ${merchant.id} is priced in ${unconvertible.currency}, which has no conversion rate`);
+  }
+
+  // Stock levels, seeded from the catalog inventory_quantity
+  merchant.inventory = createInventory({
+    levels: collection('inventory_levels'),
+    reservations: collection('inventory_reservations'),
+    catalog: merchant.catalog
+  });
+
+  // Outbound order webhooks (WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS)
+  merchant.webhooks = createWebhookDispatcher({
+    endpoints: merchant.webhookEndpoints,
+    deliveries: merchant.webhookDeliveries,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000,
+    onDelivery: (action, delivery) => publishDelivery(merchant, action, delivery)
+  });
+
+  // Session TTL and background cleanup (SESSION_TTL_SECONDS, EXPIRY_SWEEP_INTERVAL_SECONDS)
+  merchant.expiry = createExpiry({
+    sessions: merchant.checkoutSessions,
+    tokens: merchant.paymentTokens,
+    inventory: merchant.inventory,
+    sessionTtlMs: (parseInt(process.env.SESSION_TTL_SECONDS, 10) || 3600) * 1000,
+    sweepIntervalMs: (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_SECONDS, 10) || 60) * 1000,
+    processingTimeoutMs: PAYMENT_PROCESSING_DELAY_MS + 60 * 1000,
+    onSessionExpired: session => publishSession(merchant, 'canceled', session)
+  });
+
+  // Fault injection rules from /sandbox/scenarios
+  merchant.scenarios = createScenarioMiddleware({
+    scenarios: merchant.sandboxScenarios,
+    events: merchant.scenarioEvents,
+    reprice: (sessionId, percent) => repriceSession(merchant, sessionId, percent)
+  });
+
+  // Structured exchange log (REQUEST_LOG_RETENTION_HOURS, pruned every EXPIRY_SWEEP_INTERVAL_SECONDS)
+  merchant.requestLog = createRequestLog({
+    entries: merchant.requestLogEntries,
+    retentionMs: (parseInt(process.env.REQUEST_LOG_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000,
+    pruneIntervalMs: (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_SECONDS, 10) || 60) * 1000
+  });
 
-// In-memory storage for demo
-const checkoutSessions = new Map();
-const orders = new Map();
-const paymentTokens = new Map();
+  return merchant;
+};
+
+const merchants = merchantConfigs.map(createMerchantContext);
+const merchantsByKey = new Map();
+merchants.forEach(merchant => {
+  merchant.apiKeys.forEach(key => merchantsByKey.set(key, merchant));
+});
+
+// Shared secrets for the /webhooks receiver: each merchant's webhook_secret,
+// plus WEBHOOK_SECRETS=merchant_id:secret,... to add or override
+const parseMerchantSecrets = (value) => {
+  const secrets = {};
+  String(value).split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf(':');
+    if (separator > 0) {
+      secrets[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+  });
+  return secrets;
+};
+
+const merchantSecrets = {
+  ...Object.fromEntries(merchants.filter(merchant => merchant.webhookSecret).map(merchant => [merchant.id, merchant.webhookSecret])),
+  ...parseMerchantSecrets(process.env.WEBHOOK_SECRETS || '')
+};
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
 
 // Helper functions
+
+// Resolve the merchant from the bearer API key into req.merchant
 const validateAuth = (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -30,70 +243,88 @@ const validateAuth = (req, res, next) => {
       message: 'Authorization header required'
     });
   }
-  next();
-};
 
-const validateApiVersion = (req, res, next) => {
-  const version = req.headers['api-version'];
-  if (!version || version !== '2025-09-29') {
-    return res.status(400).json({
+  const merchant = merchantsByKey.get(bearerToken(authHeader));
+  if (!merchant) {
+    return res.status(401).json({
       type: 'invalid_request',
-      code: 'invalid_api_version',
-      message: 'API-Version header must be 2025-09-29'
+      code: 'invalid_authorization',
+      message: 'Invalid API key'
     });
   }
+
+  req.merchant = merchant;
   next();
 };
 
-// Create mock line items
-const createLineItems = (items) => {
-  return items.map(item => ({
-    id: `line_item_${uuidv4().slice(0, 8)}`,
-    item: item,
-    base_amount: Math.floor(Math.random() * 5000) + 1000, // $10-60
-    discount: 0,
-    subtotal: 0,
-    tax: 0,
-    total: 0
-  }));
+// Supported ACP versions and how each one reshapes requests and responses
+// (override with API_VERSIONS_FILE)
+const apiVersions = loadApiVersions(process.env.API_VERSIONS_FILE || path.join(__dirname, 'data', 'api_versions.json'));
+const validateApiVersion = (resource) => createVersionMiddleware(apiVersions, resource);
+
+// Bundled ACP JSON Schemas. Requests are always validated, SCHEMA_VALIDATION=strict
+// also checks every response so spec drift fails loudly during development.
+const schemas = loadSchemas(process.env.SCHEMAS_DIR || path.join(__dirname, 'schemas'));
+const STRICT_SCHEMAS = process.env.SCHEMA_VALIDATION === 'strict';
+const conformsTo = createSchemaMiddleware(schemas, { strict: STRICT_SCHEMAS });
+const orderSchema = conformsTo('agentic_checkout', { response: 'Order' });
+
+// Check schema-valid items against the catalog, returns an ACP error or null
+const validateItems = (merchant, items) => {
+  const index = items.findIndex(item => !merchant.catalog.getProduct(item.id));
+  if (index === -1) return null;
+
+  return {
+    type: 'invalid_request',
+    code: 'invalid',
+    message: `Unknown item id: ${items[index].id}`,
+    param: `$.items[${index}].id`
+  };
 };
 
-// Create fulfillment options
-const createFulfillmentOptions = (address) => {
-  return [
-    {
-      type: 'shipping',
-      id: `fulfillment_option_${uuidv4().slice(0, 8)}`,
-      title: 'Standard',
-      subtitle: 'Arrives in 4-5 days',
-      carrier: 'USPS',
-      earliest_delivery_time: new Date(Date.now() + 4 * 24 * 60 * 60 * 1000).toISOString(),
-      latest_delivery_time: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString(),
-      subtotal: 100,
-      tax: 0,
-      total: 100
-    },
-    {
-      type: 'shipping',
-      id: `fulfillment_option_${uuidv4().slice(0, 8)}`,
-      title: 'Express',
-      subtitle: 'Arrives in 1-2 days',
-      carrier: 'USPS',
-      earliest_delivery_time: new Date(Date.now() + 1 * 24 * 60 * 60 * 1000).toISOString(),
-      latest_delivery_time: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(),
-      subtotal: 500,
+// Catalog price of one unit, converted to `currency`
+const unitPrice = (merchant, itemId, currency) => {
+  const product = merchant.catalog.getProduct(itemId);
+  return product ? currencies.convert(product.price, product.currency, currency) : 0;
+};
+
+// Session currency and where it came from: the request, the shipping
+// country or the merchant default, in that order
+const chooseCurrency = (merchant, requested, address) => {
+  if (requested) {
+    return { currency: requested, source: 'request' };
+  }
+  const countryCurrency = address ? currencies.forCountry(address.country) : null;
+  if (countryCurrency) {
+    return { currency: countryCurrency, source: 'shipping_country' };
+  }
+  return { currency: merchant.currency, source: 'merchant_default' };
+};
+
+// Create line items priced from the catalog, taxes are filled in by priceSession
+const createLineItems = (merchant, items, currency) => {
+  return items.map(item => {
+    const baseAmount = unitPrice(merchant, item.id, currency) * item.quantity;
+
+    return {
+      id: `line_item_${uuidv4().slice(0, 8)}`,
+      item: { id: item.id, quantity: item.quantity },
+      base_amount: baseAmount,
+      discount: 0,
+      subtotal: baseAmount,
       tax: 0,
-      total: 500
-    }
-  ];
+      total: baseAmount
+    };
+  });
 };
 
 // Calculate totals
 const calculateTotals = (lineItems, fulfillmentOption) => {
   const itemsBaseAmount = lineItems.reduce((sum, item) => sum + item.base_amount, 0);
-  const subtotal = itemsBaseAmount;
-  const tax = Math.floor(subtotal * 0.1); // 10% tax
-  const fulfillment = fulfillmentOption ? fulfillmentOption.total : 0;
+  const discount = lineItems.reduce((sum, item) => sum + item.discount, 0);
+  const subtotal = lineItems.reduce((sum, item) => sum + item.subtotal, 0);
+  const fulfillment = fulfillmentOption ? fulfillmentOption.subtotal : 0;
+  const tax = lineItems.reduce((sum, item) => sum + item.tax, 0) + (fulfillmentOption ? fulfillmentOption.tax : 0);
   const total = subtotal + tax + fulfillment;
 
   return [
@@ -102,6 +333,11 @@ const calculateTotals = (lineItems, fulfillmentOption) => {
       display_text: 'Item(s) total',
       amount: itemsBaseAmount
     },
+    {
+      type: 'discount',
+      display_text: 'Discount',
+      amount: discount
+    },
     {
       type: 'subtotal',
       display_text: 'Subtotal',
@@ -125,54 +361,225 @@ const calculateTotals = (lineItems, fulfillmentOption) => {
   ];
 };
 
+// Replace the session messages about one field (or its array entries) with a fresh set
+const replaceMessages = (session, param, messages) => {
+  session.messages = session.messages
+    .filter(message => message.param !== param && !String(message.param || '').startsWith(`${param}[`))
+    .concat(messages);
+};
+
+// Reserve stock for the session's line items. Lines that cannot be fully
+// reserved get an out_of_stock message and hold the session back from payment.
+const reserveStock = async (merchant, session) => {
+  const shortages = await merchant.inventory.reserve(session.id, session.line_items);
+
+  replaceMessages(session, '$.line_items', shortages.map(shortage => {
+    const title = (merchant.catalog.getProduct(shortage.product_id) || { title: shortage.product_id }).title;
+    return {
+      type: 'error',
+      code: 'out_of_stock',
+      param: `$.line_items[${shortage.index}]`,
+      content_type: 'plain',
+      content: shortage.available === 0
+        ? `${title} is out of stock.`
+        : `Only ${shortage.available} of ${title} available, ${shortage.requested} requested.`
+    };
+  }));
+};
+
+// Derive not_ready_for_payment / ready_for_payment from what the session is missing
+const updateReadiness = (session) => {
+  session.status = isReadyForPayment(session) ? 'ready_for_payment' : 'not_ready_for_payment';
+};
+
+// Recompute discounts, line item tax, fulfillment options and totals for
+// the session's items, codes and address. Keeps the selected option when
+// it is still offered, otherwise falls back to the first one.
+const priceSession = async (merchant, session) => {
+  const { catalog, promotions, promotionUsage, shippingRules, taxRules } = merchant;
+  const address = session.fulfillment_address;
+  const jurisdiction = findJurisdiction(taxRules, address);
+  let weightGrams = 0;
+
+  // Shipping rates and promotion amounts are configured in the base currency
+  const fromBase = (amount) => currencies.convert(amount, currencies.base, session.currency);
+
+  const codes = session.discount_codes || [];
+  const usage = {};
+  for (const code of codes) {
+    const record = await promotionUsage.get(code.trim().toUpperCase());
+    usage[code.trim().toUpperCase()] = record ? record.times_redeemed : 0;
+  }
+  const promotion = applyPromotions({
+    promotions,
+    codes,
+    lineItems: session.line_items,
+    usage,
+    unitPrice: (itemId) => unitPrice(merchant, itemId, session.currency),
+    fromBase,
+    formatAmount: (amount) => formatAmount(amount, session.currency)
+  });
+  session.discounts = promotion.discounts;
+  replaceMessages(session, '$.discount_codes', promotion.messages);
+
+  session.line_items.forEach(lineItem => {
+    const product = catalog.getProduct(lineItem.item.id) || { weight_grams: 0, tax_code: null };
+    weightGrams += product.weight_grams * lineItem.item.quantity;
+    lineItem.subtotal = lineItem.base_amount - lineItem.discount;
+    lineItem.tax = itemTax(jurisdiction, product.tax_code, lineItem.subtotal);
+    lineItem.total = lineItem.subtotal + lineItem.tax;
+  });
+
+  let options = [];
+  let shippingMessages = [];
+  if (address) {
+    const itemsSubtotal = session.line_items.reduce((sum, lineItem) => sum + lineItem.subtotal, 0);
+    const quote = quoteShipping(shippingRules, address, {
+      weightGrams,
+      itemsSubtotal: currencies.convert(itemsSubtotal, session.currency, currencies.base)
+    });
+    options = quote.options.map(option => {
+      const subtotal = promotion.freeShipping ? 0 : fromBase(option.subtotal);
+      const tax = shippingTax(jurisdiction, subtotal);
+      return { ...option, subtotal: subtotal, tax: tax, total: subtotal + tax };
+    });
+    shippingMessages = quote.message ? [quote.message] : [];
+  } else {
+    shippingMessages = [{
+      type: 'error',
+      code: 'missing',
+      param: '$.fulfillment_address',
+      content_type: 'plain',
+      content: 'A shipping address is required to calculate fulfillment options and tax.'
+    }];
+  }
+
+  session.fulfillment_options = options;
+  if (!options.some(option => option.id === session.fulfillment_option_id)) {
+    session.fulfillment_option_id = options.length > 0 ? options[0].id : null;
+  }
+  replaceMessages(session, '$.fulfillment_address', shippingMessages);
+
+  const selectedOption = options.find(option => option.id === session.fulfillment_option_id);
+  session.totals = calculateTotals(session.line_items, selectedOption);
+  return session;
+};
+
+// Replays of POSTs carrying an Idempotency-Key (IDEMPOTENCY_TTL_HOURS, default 24)
+const idempotency = createIdempotencyMiddleware({
+  records: idempotencyKeys,
+  ttlMs: (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000
+});
+
+// Load one of the merchant's sessions, expiring it first if its TTL has passed
+const loadSession = async (merchant, sessionId) => {
+  const session = await merchant.checkoutSessions.get(sessionId);
+  if (session) {
+    await merchant.expiry.expireSession(session);
+  }
+  return session;
+};
+
+// Raise or lower an open session's prices for reprice scenarios
+const repriceSession = async (merchant, sessionId, percent) => {
+  const session = await merchant.checkoutSessions.get(sessionId);
+  if (!session || checkAction(session, 'update')) return false;
+
+  session.line_items.forEach(lineItem => {
+    lineItem.base_amount = Math.round(lineItem.base_amount * (100 + percent) / 100);
+  });
+  await priceSession(merchant, session);
+  session.updated_at = new Date().toISOString();
+  await merchant.checkoutSessions.set(sessionId, session);
+  publishSession(merchant, 'updated', session);
+  return true;
+};
+
+// Run the authenticated merchant's fault injection rules
+const applyScenarios = (req, res, next) => req.merchant.scenarios(req, res, next);
+
+// Record the exchange in the merchant's request log
+const logExchange = (req, res, next) => req.merchant.requestLog.middleware(req, res, next);
+
+// The product feed is public: use the caller's merchant when a key is sent,
+// otherwise ?merchant_id= or the first configured merchant
+const resolveFeedMerchant = (req, res, next) => {
+  if (req.headers.authorization) {
+    return validateAuth(req, res, next);
+  }
+
+  const merchant = req.query.merchant_id
+    ? merchants.find(candidate => candidate.id === req.query.merchant_id)
+    : merchants[0];
+  if (!merchant) {
+    return res.status(404).json({
+      type: 'invalid_request',
+      code: 'not_found',
+      message: 'Merchant not found',
+      param: '$.merchant_id'
+    });
+  }
+
+  req.merchant = merchant;
+  next();
+};
+
 // Middleware for all ACP endpoints
-app.use('/checkout_sessions', validateAuth, validateApiVersion);
-app.use('/checkout_sessions/:id', validateAuth, validateApiVersion);
-app.use('/agentic_commerce/delegate_payment', validateAuth, validateApiVersion);
+app.use('/checkout_sessions', validateAuth, logExchange, applyScenarios, validateApiVersion('checkout_session'), idempotency);
+app.use('/agentic_commerce/delegate_payment', validateAuth, logExchange, applyScenarios, validateApiVersion('delegate_payment'), idempotency);
+app.use('/orders', validateAuth, logExchange, applyScenarios, validateApiVersion('order'), idempotency);
+app.use('/product_feed', resolveFeedMerchant, applyScenarios);
+app.use('/webhook_endpoints', validateAuth);
+app.use('/webhook_deliveries', validateAuth);
+app.use('/webhooks/events', validateAuth);
+app.use('/sandbox', validateAuth);
 
 // ===== CHECKOUT SESSION ENDPOINTS =====
 
 // POST /checkout_sessions - Create session
-app.post('/checkout_sessions', (req, res) => {
+app.post('/checkout_sessions', conformsTo('agentic_checkout', {
+  request: 'CheckoutSessionCreateRequest',
+  response: 'CheckoutSession'
+}), async (req, res) => {
   try {
-    const { items, buyer, fulfillment_address } = req.body;
+    const { merchant } = req;
+    const { items, buyer, fulfillment_address, discount_codes, currency } = req.body;
+
+    const itemsError = validateItems(merchant, items);
+    if (itemsError) {
+      return res.status(400).json(itemsError);
+    }
 
-    if (!items || !Array.isArray(items) || items.length === 0) {
+    if (currency !== undefined && !currencies.isSupported(currency)) {
       return res.status(400).json({
         type: 'invalid_request',
         code: 'invalid',
-        message: 'Items array is required and must not be empty',
-        param: '$.items'
+        message: `Currency ${currency} is not supported, use one of: ${currencies.list().map(entry => entry.code).join(', ')}`,
+        param: '$.currency'
       });
     }
+    const chosen = chooseCurrency(merchant, currency, fulfillment_address);
 
     const sessionId = `checkout_session_${uuidv4().slice(0, 12)}`;
-    const lineItems = createLineItems(items);
-
-    // Calculate totals for each line item
-    lineItems.forEach(item => {
-      item.subtotal = item.base_amount;
-      item.tax = Math.floor(item.subtotal * 0.1);
-      item.total = item.subtotal + item.tax;
-    });
-
-    const fulfillmentOptions = createFulfillmentOptions(fulfillment_address);
-    const selectedOption = fulfillmentOptions[0]; // Default to standard
-    const totals = calculateTotals(lineItems, selectedOption);
 
+    const createdAt = new Date().toISOString();
     const session = {
       id: sessionId,
       payment_provider: {
         provider: 'stripe',
         supported_payment_methods: ['card']
       },
-      status: 'ready_for_payment',
-      currency: 'usd',
-      line_items: lineItems,
+      status: 'not_ready_for_payment',
+      currency: chosen.currency,
+      currency_source: chosen.source,
+      buyer: buyer || null,
+      line_items: createLineItems(merchant, items, chosen.currency),
       fulfillment_address: fulfillment_address || null,
-      fulfillment_option_id: selectedOption.id,
-      totals: totals,
-      fulfillment_options: fulfillmentOptions,
+      fulfillment_option_id: null,
+      totals: [],
+      fulfillment_options: [],
+      discount_codes: discount_codes || [],
+      discounts: [],
       messages: [],
       links: [
         {
@@ -180,11 +587,16 @@ app.post('/checkout_sessions', (req, res) => {
           url: 'https://www.testshop.com/legal/terms-of-use'
         }
       ],
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
+      expires_at: merchant.expiry.sessionExpiresAt(createdAt),
+      created_at: createdAt,
+      updated_at: createdAt
     };
 
-    checkoutSessions.set(sessionId, session);
+    await priceSession(merchant, session);
+    await reserveStock(merchant, session);
+    updateReadiness(session);
+    await merchant.checkoutSessions.set(sessionId, session);
+    publishSession(merchant, 'created', session);
 
     res.status(201).json(session);
   } catch (error) {
@@ -198,10 +610,14 @@ app.post('/checkout_sessions', (req, res) => {
 });
 
 // POST /checkout_sessions/:id - Update session
-app.post('/checkout_sessions/:id', (req, res) => {
+app.post('/checkout_sessions/:id', conformsTo('agentic_checkout', {
+  request: 'CheckoutSessionUpdateRequest',
+  response: 'CheckoutSession'
+}), async (req, res) => {
   try {
+    const { merchant } = req;
     const sessionId = req.params.id;
-    const session = checkoutSessions.get(sessionId);
+    const session = await loadSession(merchant, sessionId);
 
     if (!session) {
       return res.status(404).json({
@@ -212,32 +628,50 @@ app.post('/checkout_sessions/:id', (req, res) => {
       });
     }
 
-    if (session.status === 'completed' || session.status === 'canceled') {
-      return res.status(400).json({
-        type: 'invalid_request',
-        code: 'invalid_status',
-        message: `Cannot update session with status: ${session.status}`,
-        param: '$.status'
-      });
+    const transitionError = checkAction(session, 'update');
+    if (transitionError) {
+      return res.status(transitionError.status).json(transitionError.error);
     }
 
-    const { items, fulfillment_address, fulfillment_option_id } = req.body;
+    const { items, buyer, fulfillment_address, fulfillment_option_id, discount_codes } = req.body;
 
     // Update session based on provided fields
     if (items) {
-      const lineItems = createLineItems(items);
-      lineItems.forEach(item => {
-        item.subtotal = item.base_amount;
-        item.tax = Math.floor(item.subtotal * 0.1);
-        item.total = item.subtotal + item.tax;
-      });
-      session.line_items = lineItems;
+      const itemsError = validateItems(merchant, items);
+      if (itemsError) {
+        return res.status(400).json(itemsError);
+      }
     }
 
     if (fulfillment_address) {
       session.fulfillment_address = fulfillment_address;
+
+      // Unless the agent picked a currency, it follows the shipping country
+      if (session.currency_source !== 'request') {
+        const chosen = chooseCurrency(merchant, null, fulfillment_address);
+        if (chosen.currency !== session.currency) {
+          session.line_items = createLineItems(merchant, session.line_items.map(lineItem => lineItem.item), chosen.currency);
+        }
+        session.currency = chosen.currency;
+        session.currency_source = chosen.source;
+      }
+    }
+
+    if (items) {
+      session.line_items = createLineItems(merchant, items, session.currency);
+    }
+
+    if (buyer) {
+      session.buyer = buyer;
     }
 
+    if (discount_codes) {
+      session.discount_codes = discount_codes;
+    }
+
+    // Options depend on the items and address, so quote them before selecting
+    await priceSession(merchant, session);
+
     if (fulfillment_option_id) {
       const option = session.fulfillment_options.find(opt => opt.id === fulfillment_option_id);
       if (!option) {
@@ -249,14 +683,15 @@ app.post('/checkout_sessions/:id', (req, res) => {
         });
       }
       session.fulfillment_option_id = fulfillment_option_id;
+      await priceSession(merchant, session);
     }
 
-    // Recalculate totals
-    const selectedOption = session.fulfillment_options.find(opt => opt.id === session.fulfillment_option_id);
-    session.totals = calculateTotals(session.line_items, selectedOption);
+    await reserveStock(merchant, session);
+    updateReadiness(session);
     session.updated_at = new Date().toISOString();
 
-    checkoutSessions.set(sessionId, session);
+    await merchant.checkoutSessions.set(sessionId, session);
+    publishSession(merchant, 'updated', session);
     res.json(session);
   } catch (error) {
     console.error('Update session error:', error);
@@ -269,10 +704,11 @@ app.post('/checkout_sessions/:id', (req, res) => {
 });
 
 // GET /checkout_sessions/:id - Retrieve session
-app.get('/checkout_sessions/:id', (req, res) => {
+app.get('/checkout_sessions/:id', conformsTo('agentic_checkout', { response: 'CheckoutSession' }), async (req, res) => {
   try {
+    const { merchant } = req;
     const sessionId = req.params.id;
-    const session = checkoutSessions.get(sessionId);
+    const session = await loadSession(merchant, sessionId);
 
     if (!session) {
       return res.status(404).json({
@@ -295,10 +731,16 @@ app.get('/checkout_sessions/:id', (req, res) => {
 });
 
 // POST /checkout_sessions/:id/complete - Complete session
-app.post('/checkout_sessions/:id/complete', (req, res) => {
+app.post('/checkout_sessions/:id/complete', conformsTo('agentic_checkout', {
+  request: 'CheckoutSessionCompleteRequest',
+  response: 'CheckoutSession'
+}), async (req, res) => {
+  // The session while it is held in_progress, released if the charge errors
+  let processing = null;
   try {
+    const { merchant } = req;
     const sessionId = req.params.id;
-    const session = checkoutSessions.get(sessionId);
+    const session = await loadSession(merchant, sessionId);
 
     if (!session) {
       return res.status(404).json({
@@ -309,49 +751,125 @@ app.post('/checkout_sessions/:id/complete', (req, res) => {
       });
     }
 
-    if (session.status !== 'ready_for_payment') {
-      return res.status(400).json({
-        type: 'invalid_request',
-        code: 'invalid_status',
-        message: `Cannot complete session with status: ${session.status}`,
-        param: '$.status'
-      });
+    const transitionError = checkAction(session, 'complete');
+    if (transitionError) {
+      return res.status(transitionError.status).json(transitionError.error);
     }
 
     const { buyer, payment_data } = req.body;
 
-    if (!payment_data || !payment_data.token) {
-      return res.status(400).json({
-        type: 'invalid_request',
-        code: 'invalid',
-        message: 'Payment data with token is required',
-        param: '$.payment_data'
+    const token = await merchant.paymentTokens.get(payment_data.token);
+    const tokenError = validateTokenForSession(token, session, { merchantId: merchant.id });
+    if (tokenError) {
+      return res.status(400).json(tokenError);
+    }
+
+    // Hold the session while the payment is processed
+    session.status = 'in_progress';
+    session.updated_at = new Date().toISOString();
+    await merchant.checkoutSessions.set(sessionId, session);
+    publishSession(merchant, 'updated', session);
+    processing = session;
+
+    if (PAYMENT_PROCESSING_DELAY_MS > 0) {
+      await new Promise(resolve => setTimeout(resolve, PAYMENT_PROCESSING_DELAY_MS));
+    }
+
+    // A failed payment sends the session back to ready_for_payment
+    const failPayment = async (status, error, message) => {
+      processing = null;
+      session.status = 'ready_for_payment';
+      replaceMessages(session, '$.payment_data', [message]);
+      session.updated_at = new Date().toISOString();
+      await merchant.checkoutSessions.set(sessionId, session);
+      publishSession(merchant, 'updated', session);
+
+      return res.status(status).json(error);
+    };
+
+    // Tokens the risk engine blocked with block_stage=complete
+    if (token.risk && token.risk.decision === 'block') {
+      return failPayment(402, riskError(token.risk, '$.payment_data.token'), {
+        type: 'error',
+        code: 'payment_declined',
+        param: '$.payment_data',
+        content_type: 'plain',
+        content: 'This payment was blocked by fraud checks.'
       });
     }
 
+    // Magic test cards and amounts can fail the charge
+    const failure = chargeOutcome(token.payment_method.number, sessionTotal(session));
+    if (failure) {
+      return failPayment(failure.status, outcomeError(failure, '$.payment_data.token'), outcomeMessage(failure, '$.payment_data'));
+    }
+
     // Create order
     const orderId = `ord_${uuidv4().slice(0, 12)}`;
+    const orderCreatedAt = new Date().toISOString();
     const order = {
       id: orderId,
       checkout_session_id: sessionId,
       permalink_url: `https://www.testshop.com/orders/${orderId}`,
       status: 'created',
-      created_at: new Date().toISOString()
+      total: sessionTotal(session),
+      currency: session.currency,
+      amount_refunded: 0,
+      refunds: [],
+      fulfillment: null,
+      risk_decision: token.risk ? token.risk.decision : 'authorize',
+      status_history: [{ status: 'created', at: orderCreatedAt }],
+      created_at: orderCreatedAt,
+      updated_at: orderCreatedAt
     };
 
-    orders.set(orderId, order);
+    await merchant.orders.set(orderId, order);
+    publishOrder(merchant, 'created', order);
+    // Paid from here on, the session must not go back to ready_for_payment
+    processing = null;
+
+    await merchant.inventory.commit(sessionId);
 
-    // Update session
+    // Count redemptions for usage-limited codes
+    for (const discount of session.discounts || []) {
+      const usage = await merchant.promotionUsage.get(discount.code) || { id: discount.code, times_redeemed: 0 };
+      usage.times_redeemed += 1;
+      await merchant.promotionUsage.set(discount.code, usage);
+    }
+
+    // Tokens are single-use
+    token.used_at = order.created_at;
+    token.order_id = orderId;
+    await merchant.paymentTokens.set(token.id, token);
+
+    // Update session, dropping errors left by earlier failed charges
     session.status = 'completed';
-    session.buyer = buyer;
+    replaceMessages(session, '$.payment_data', []);
+    if (buyer) {
+      session.buyer = buyer;
+    }
     session.order = order;
     session.updated_at = new Date().toISOString();
 
-    checkoutSessions.set(sessionId, session);
+    await merchant.checkoutSessions.set(sessionId, session);
+    publishSession(merchant, 'completed', session);
+
+    merchant.webhooks.emitOrderEvent('order_created', order).catch(error => {
+      console.error('Order webhook error:', error);
+    });
 
     res.json(session);
   } catch (error) {
     console.error('Complete session error:', error);
+    if (processing) {
+      const { merchant } = req;
+      processing.status = 'ready_for_payment';
+      processing.updated_at = new Date().toISOString();
+      await merchant.checkoutSessions.set(processing.id, processing).then(
+        () => publishSession(merchant, 'updated', processing),
+        storeError => console.error('Complete session error:', storeError)
+      );
+    }
     res.status(500).json({
       type: 'processing_error',
       code: 'internal_error',
@@ -361,10 +879,11 @@ app.post('/checkout_sessions/:id/complete', (req, res) => {
 });
 
 // POST /checkout_sessions/:id/cancel - Cancel session
-app.post('/checkout_sessions/:id/cancel', (req, res) => {
+app.post('/checkout_sessions/:id/cancel', conformsTo('agentic_checkout', { response: 'CheckoutSession' }), async (req, res) => {
   try {
+    const { merchant } = req;
     const sessionId = req.params.id;
-    const session = checkoutSessions.get(sessionId);
+    const session = await loadSession(merchant, sessionId);
 
     if (!session) {
       return res.status(404).json({
@@ -375,15 +894,13 @@ app.post('/checkout_sessions/:id/cancel', (req, res) => {
       });
     }
 
-    if (session.status === 'completed' || session.status === 'canceled') {
-      return res.status(405).json({
-        type: 'invalid_request',
-        code: 'invalid_status',
-        message: `Cannot cancel session with status: ${session.status}`,
-        param: '$.status'
-      });
+    const transitionError = checkAction(session, 'cancel');
+    if (transitionError) {
+      return res.status(transitionError.status).json(transitionError.error);
     }
 
+    await merchant.inventory.release(sessionId);
+
     session.status = 'canceled';
     session.messages = [
       {
@@ -394,7 +911,8 @@ app.post('/checkout_sessions/:id/cancel', (req, res) => {
     ];
     session.updated_at = new Date().toISOString();
 
-    checkoutSessions.set(sessionId, session);
+    await merchant.checkoutSessions.set(sessionId, session);
+    publishSession(merchant, 'canceled', session);
     res.json(session);
   } catch (error) {
     console.error('Cancel session error:', error);
@@ -406,39 +924,186 @@ app.post('/checkout_sessions/:id/cancel', (req, res) => {
   }
 });
 
+// ===== ORDER ENDPOINTS =====
+
+const orderNotFound = {
+  type: 'invalid_request',
+  code: 'not_found',
+  message: 'Order not found',
+  param: '$.id'
+};
+
+// Persist an order change, mirror it onto its session and notify webhooks
+// and the event stream
+const saveOrder = async (merchant, order, previousStatus) => {
+  await merchant.orders.set(order.id, order);
+  if (order.status !== previousStatus) {
+    publishOrder(merchant, 'status_changed', order, { previous_status: previousStatus });
+  }
+
+  const session = await merchant.checkoutSessions.get(order.checkout_session_id);
+  if (session) {
+    session.order = order;
+    session.updated_at = order.updated_at;
+    await merchant.checkoutSessions.set(session.id, session);
+  }
+
+  merchant.webhooks.emitOrderEvent('order_updated', order).catch(error => {
+    console.error('Order webhook error:', error);
+  });
+};
+
+// Wrap an order action: load the order, check the transition, apply and save
+const orderAction = (action, apply) => async (req, res) => {
+  try {
+    const { merchant } = req;
+    const order = await merchant.orders.get(req.params.id);
+    if (!order) {
+      return res.status(404).json(orderNotFound);
+    }
+
+    const transitionError = checkOrderAction(order, action);
+    if (transitionError) {
+      return res.status(transitionError.status).json(transitionError.error);
+    }
+
+    const previousStatus = order.status;
+    const body = req.body || {};
+    const validationError = apply(order, body, new Date().toISOString());
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    await saveOrder(merchant, order, previousStatus);
+    res.json(order);
+  } catch (error) {
+    console.error(`Order ${action} error:`, error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// GET /orders/:id - Retrieve order
+app.get('/orders/:id', orderSchema, async (req, res) => {
+  try {
+    const { merchant } = req;
+    const order = await merchant.orders.get(req.params.id);
+    if (!order) {
+      return res.status(404).json(orderNotFound);
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /orders/:id/confirm - Merchant accepts the order
+app.post('/orders/:id/confirm', orderSchema, orderAction('confirm', (order, body, now) => {
+  setOrderStatus(order, 'confirmed', now);
+}));
+
+// POST /orders/:id/ship - Hand over to the carrier
+app.post('/orders/:id/ship', orderSchema, orderAction('ship', (order, body, now) => {
+  const shipmentError = validateShipment(body);
+  if (shipmentError) return shipmentError;
+
+  order.fulfillment = {
+    carrier: body.carrier,
+    tracking_number: body.tracking_number,
+    tracking_url: body.tracking_url || null,
+    shipped_at: now,
+    delivered_at: null
+  };
+  setOrderStatus(order, 'shipped', now);
+}));
+
+// POST /orders/:id/deliver - Carrier reports delivery
+app.post('/orders/:id/deliver', orderSchema, orderAction('deliver', (order, body, now) => {
+  order.fulfillment.delivered_at = now;
+  setOrderStatus(order, 'delivered', now);
+}));
+
+// POST /orders/:id/cancel - Cancel before shipping, refunding what is left
+app.post('/orders/:id/cancel', orderSchema, orderAction('cancel', (order, body, now) => {
+  if (refundableAmount(order) > 0) {
+    addRefund(order, { reason: body.reason || 'canceled' }, now);
+  }
+  order.cancellation_reason = body.reason || null;
+  setOrderStatus(order, 'canceled', now);
+}));
+
+// POST /orders/:id/refund - Full or partial refund
+app.post('/orders/:id/refund', orderSchema, orderAction('refund', (order, body, now) => {
+  const refundError = validateRefund(order, body);
+  if (refundError) return refundError;
+
+  addRefund(order, body, now);
+  if (refundableAmount(order) === 0) {
+    setOrderStatus(order, 'refunded', now);
+  } else {
+    order.updated_at = now;
+  }
+}));
+
 // ===== DELEGATE PAYMENT ENDPOINT =====
 
 // POST /agentic_commerce/delegate_payment - Create payment token
-app.post('/agentic_commerce/delegate_payment', (req, res) => {
+app.post('/agentic_commerce/delegate_payment', conformsTo('delegate_payment', {
+  request: 'DelegatePaymentRequest',
+  response: 'DelegatePaymentResponse'
+}), async (req, res) => {
   try {
+    const { merchant } = req;
     const { payment_method, allowance, billing_address, risk_signals, metadata } = req.body;
 
-    // Validate required fields
-    if (!payment_method || payment_method.type !== 'card') {
-      return res.status(400).json({
-        type: 'invalid_request',
-        code: 'invalid_card',
-        message: 'Payment method type must be card',
-        param: '$.payment_method.type'
-      });
+    const validationError = validateDelegatePayment(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
     }
 
-    if (!allowance || allowance.reason !== 'one_time') {
+    // Allowances are in the currency of the session they pay for
+    const linkedSession = await merchant.checkoutSessions.get(allowance.checkout_session_id);
+    if (!currencies.isSupported(allowance.currency) || (linkedSession && linkedSession.currency !== allowance.currency)) {
       return res.status(400).json({
         type: 'invalid_request',
         code: 'invalid_allowance',
-        message: 'Allowance reason must be one_time',
-        param: '$.allowance.reason'
+        message: linkedSession
+          ? `Allowance currency ${allowance.currency} does not match checkout session currency ${linkedSession.currency}`
+          : `Allowance currency ${allowance.currency} is not supported`,
+        param: '$.allowance.currency'
       });
     }
 
-    if (!risk_signals || !Array.isArray(risk_signals) || risk_signals.length === 0) {
-      return res.status(400).json({
-        type: 'invalid_request',
-        code: 'invalid',
-        message: 'At least one risk signal is required',
-        param: '$.risk_signals'
-      });
+    // Magic test cards can fail tokenization
+    const failure = delegateOutcome(payment_method.number);
+    if (failure) {
+      return res.status(failure.status).json(outcomeError(failure, '$.payment_method'));
+    }
+
+    // Risk evaluation: agent signals plus card velocity, amount and country checks
+    const fingerprint = cardFingerprint(payment_method.number);
+    const windowStart = Date.now() - riskConfig.velocity.window_seconds * 1000;
+    const recentCardTokens = (await merchant.paymentTokens.list()).filter(existing => (
+      existing.card_fingerprint === fingerprint && Date.parse(existing.created) >= windowStart
+    ));
+    const risk = evaluateRisk({
+      body: req.body,
+      recentCardTokens,
+      session: linkedSession,
+      baseAmount: currencies.convert(allowance.max_amount, allowance.currency, currencies.base)
+    }, riskConfig);
+
+    if (risk.decision === 'block' && riskConfig.block_stage === 'delegate') {
+      return res.status(402).json(riskError(risk, '$.risk_signals'));
     }
 
     // Create payment token
@@ -450,10 +1115,13 @@ app.post('/agentic_commerce/delegate_payment', (req, res) => {
       allowance: allowance,
       billing_address: billing_address,
       risk_signals: risk_signals,
+      card_fingerprint: fingerprint,
+      risk: risk,
       metadata: metadata || {}
     };
 
-    paymentTokens.set(tokenId, token);
+    await merchant.paymentTokens.set(tokenId, token);
+    publishToken(merchant, token);
 
     res.status(201).json({
       id: tokenId,
@@ -470,74 +1138,1024 @@ app.post('/agentic_commerce/delegate_payment', (req, res) => {
   }
 });
 
-// ===== WEBHOOK ENDPOINTS =====
+// ===== PRODUCT FEED ENDPOINT =====
 
-// POST /webhooks - Webhook receiver
-app.post('/webhooks', (req, res) => {
+const FEED_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values'
+};
+
+// GET /product_feed - Browse the catalog in product-feed format
+app.get('/product_feed', async (req, res) => {
   try {
-    const { type, data } = req.body;
+    const { merchant } = req;
+    const format = req.query.format || req.accepts(['json', 'csv', 'tsv']) || 'json';
+
+    if (!FEED_FORMATS[format]) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: `format must be one of: ${Object.keys(FEED_FORMATS).join(', ')}`,
+        param: '$.format'
+      });
+    }
 
-    console.log('Webhook received:', type, data);
+    const { error, options } = parseFeedQuery(req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
 
-    // Here you would normally verify the signature
-    // For demo purposes, we'll just log it
+    // Report live availability rather than the seed quantity
+    const products = [];
+    for (const product of merchant.catalog.list()) {
+      products.push({ ...product, inventory_quantity: await merchant.inventory.available(product.id) });
+    }
+    const page = queryFeed(products, options);
 
-    res.status(200).send('OK');
+    if (format === 'json') {
+      return res.json(page);
+    }
+
+    res.set('X-Total-Count', String(page.total_count));
+    res.set('X-Has-More', String(page.has_more));
+    res.type(FEED_FORMATS[format]).send(toDelimited(page.data, format === 'csv' ? ',' : '\t'));
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).send('Internal server error');
+    console.error('Product feed error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
   }
 });
 
-// ===== INFO ENDPOINTS =====
+// ===== WEBHOOK ENDPOINTS =====
 
-const path = require('path');
+// Secrets are only shown when an endpoint is created
+const publicEndpoint = ({ secret, ...endpoint }) => endpoint;
 
-// GET / - Serve client interface
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'client.html'));
-});
+// POST /webhook_endpoints - Register an outbound webhook endpoint
+app.post('/webhook_endpoints', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const { url, events, secret, description } = req.body;
+
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      parsedUrl = null;
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: 'url must be an absolute http(s) URL',
+        param: '$.url'
+      });
+    }
 
-// GET /api - Server info
-app.get('/api', (req, res) => {
-  res.json({
-    name: 'ACP Sandbox',
-    version: '1.0.0',
-    description: 'Agentic Commerce Protocol Sandbox Environment',
-    endpoints: {
-      checkout_sessions: {
-        create: 'POST /checkout_sessions',
-        update: 'POST /checkout_sessions/:id',
+    if (events !== undefined && (
+      !Array.isArray(events) || events.length === 0 || events.some(type => !WEBHOOK_EVENT_TYPES.includes(type))
+    )) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: `events must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(', ')}`,
+        param: '$.events'
+      });
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: 'secret must be a string of at least 16 characters',
+        param: '$.secret'
+      });
+    }
+
+    const endpointId = `whep_${uuidv4().slice(0, 12)}`;
+    const endpoint = {
+      id: endpointId,
+      url: parsedUrl.toString(),
+      events: events || WEBHOOK_EVENT_TYPES,
+      description: description || null,
+      secret: secret || generateSecret(),
+      created_at: new Date().toISOString()
+    };
+
+    await merchant.webhookEndpoints.set(endpointId, endpoint);
+
+    res.status(201).json(endpoint);
+  } catch (error) {
+    console.error('Create webhook endpoint error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /webhook_endpoints - List registered endpoints
+app.get('/webhook_endpoints', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const endpoints = await merchant.webhookEndpoints.list();
+    res.json({ data: endpoints.map(publicEndpoint) });
+  } catch (error) {
+    console.error('List webhook endpoints error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /webhook_endpoints/:id - Remove an endpoint
+app.delete('/webhook_endpoints/:id', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const deleted = await merchant.webhookEndpoints.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        type: 'invalid_request',
+        code: 'not_found',
+        message: 'Webhook endpoint not found',
+        param: '$.id'
+      });
+    }
+
+    res.json({ id: req.params.id, deleted: true });
+  } catch (error) {
+    console.error('Delete webhook endpoint error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /webhook_deliveries - Delivery log, filter by endpoint_id, event_type or status
+app.get('/webhook_deliveries', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const { endpoint_id, event_type, status } = req.query;
+
+    const deliveries = (await merchant.webhookDeliveries.list()).filter(delivery => (
+      (!endpoint_id || delivery.endpoint_id === endpoint_id) &&
+      (!event_type || delivery.event_type === event_type) &&
+      (!status || delivery.status === status)
+    ));
+
+    res.json({ data: deliveries });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /webhook_deliveries/:id - Retrieve one delivery with its attempts
+app.get('/webhook_deliveries/:id', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const delivery = await merchant.webhookDeliveries.get(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        type: 'invalid_request',
+        code: 'not_found',
+        message: 'Webhook delivery not found',
+        param: '$.id'
+      });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Retrieve webhook delivery error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /webhooks - Webhook receiver
+app.post('/webhooks', async (req, res) => {
+  try {
+    // Merchant-Id narrows verification to one merchant's secret
+    const merchantId = req.headers['merchant-id'];
+    if (merchantId && !merchantSecrets[merchantId]) {
+      return res.status(401).json({
+        type: 'invalid_request',
+        code: 'unknown_merchant',
+        message: `No webhook secret configured for merchant: ${merchantId}`,
+        param: '$.merchant_id'
+      });
+    }
+
+    const candidates = merchantId
+      ? [[merchantId, merchantSecrets[merchantId]]]
+      : Object.entries(merchantSecrets);
+    const verification = verifySignature(
+      req.headers[SIGNATURE_HEADER.toLowerCase()],
+      req.rawBody || '',
+      candidates.map(([, secret]) => secret),
+      WEBHOOK_TOLERANCE_SECONDS
+    );
+
+    if (!verification.valid) {
+      return res.status(401).json({
+        type: 'invalid_request',
+        code: verification.code,
+        message: verification.message,
+        param: '$.merchant_signature'
+      });
+    }
+
+    const { type, data } = req.body || {};
+
+    if (!type || typeof type !== 'string') {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: 'Webhook event type is required',
+        param: '$.type'
+      });
+    }
+
+    const eventId = `whevt_${uuidv4().slice(0, 12)}`;
+    const event = {
+      id: eventId,
+      merchant_id: candidates.find(([, secret]) => secret === verification.secret)[0],
+      type: type,
+      data: data || null,
+      signature_timestamp: new Date(verification.timestamp * 1000).toISOString(),
+      received_at: new Date().toISOString()
+    };
+
+    await webhookEvents.set(eventId, event);
+
+    console.log('Webhook received:', type, eventId);
+
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// GET /webhooks/events - Verified events received for the merchant, filter by type
+app.get('/webhooks/events', async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const events = (await webhookEvents.list()).filter(event => (
+      event.merchant_id === req.merchant.id &&
+      (!type || event.type === type)
+    ));
+
+    res.json({ data: events });
+  } catch (error) {
+    console.error('List webhook events error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// ===== SANDBOX SCENARIO ENDPOINTS =====
+
+// POST /sandbox/scenarios - Register a fault injection rule
+app.post('/sandbox/scenarios', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const scenarioError = validateScenario(req.body || {});
+    if (scenarioError) {
+      return res.status(400).json(scenarioError);
+    }
+
+    const scenario = createScenario(req.body);
+    await merchant.sandboxScenarios.set(scenario.id, scenario);
+
+    res.status(201).json(scenario);
+  } catch (error) {
+    console.error('Create scenario error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /sandbox/scenarios - List rules
+app.get('/sandbox/scenarios', async (req, res) => {
+  try {
+    const { merchant } = req;
+    res.json({ data: await merchant.sandboxScenarios.list() });
+  } catch (error) {
+    console.error('List scenarios error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /sandbox/scenarios/events - Injected faults, filter by scenario_id or session_id
+app.get('/sandbox/scenarios/events', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const { scenario_id, session_id } = req.query;
+
+    const events = (await merchant.scenarioEvents.list()).filter(event => (
+      (!scenario_id || event.scenario_id === scenario_id) &&
+      (!session_id || event.session_id === session_id)
+    ));
+
+    res.json({ data: events });
+  } catch (error) {
+    console.error('List scenario events error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /sandbox/scenarios/:id - Retrieve one rule
+app.get('/sandbox/scenarios/:id', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const scenario = await merchant.sandboxScenarios.get(req.params.id);
+
+    if (!scenario) {
+      return res.status(404).json({
+        type: 'invalid_request',
+        code: 'not_found',
+        message: 'Scenario not found',
+        param: '$.id'
+      });
+    }
+
+    res.json(scenario);
+  } catch (error) {
+    console.error('Retrieve scenario error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /sandbox/scenarios - Remove every rule
+app.delete('/sandbox/scenarios', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const scenarios = await merchant.sandboxScenarios.list();
+    for (const scenario of scenarios) {
+      await merchant.sandboxScenarios.delete(scenario.id);
+    }
+
+    res.json({ deleted: scenarios.length });
+  } catch (error) {
+    console.error('Clear scenarios error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /sandbox/scenarios/:id - Remove a rule
+app.delete('/sandbox/scenarios/:id', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const deleted = await merchant.sandboxScenarios.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        type: 'invalid_request',
+        code: 'not_found',
+        message: 'Scenario not found',
+        param: '$.id'
+      });
+    }
+
+    res.json({ id: req.params.id, deleted: true });
+  } catch (error) {
+    console.error('Delete scenario error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// ===== REQUEST LOG ENDPOINTS =====
+
+// GET /sandbox/logs - Logged exchanges, filter by session_id, token_id or order_id;
+// format=jsonl exports one entry per line
+app.get('/sandbox/logs', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const { session_id, token_id, order_id, format } = req.query;
+
+    if (format !== undefined && !['json', 'jsonl'].includes(format)) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: 'format must be one of: json, jsonl',
+        param: '$.format'
+      });
+    }
+
+    const entries = await merchant.requestLog.list({ session_id, token_id, order_id });
+
+    if (format === 'jsonl') {
+      res.set('Content-Disposition', `attachment; filename="${merchant.id}-requests.jsonl"`);
+      return res.type('application/x-ndjson').send(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    }
+
+    res.json({ data: entries });
+  } catch (error) {
+    console.error('List request log error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /sandbox/logs - Clear the request log
+app.delete('/sandbox/logs', async (req, res) => {
+  try {
+    const { merchant } = req;
+    res.json({ deleted: await merchant.requestLog.clear() });
+  } catch (error) {
+    console.error('Clear request log error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /sandbox/sessions/:id/timeline - Every exchange about one checkout session, in order
+app.get('/sandbox/sessions/:id/timeline', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const sessionId = req.params.id;
+    const entries = await merchant.requestLog.timeline(sessionId);
+
+    if (entries.length === 0 && !(await merchant.checkoutSessions.get(sessionId))) {
+      return res.status(404).json({
+        type: 'invalid_request',
+        code: 'not_found',
+        message: 'Checkout session not found',
+        param: '$.id'
+      });
+    }
+
+    res.json({
+      session_id: sessionId,
+      entries: entries
+    });
+  } catch (error) {
+    console.error('Session timeline error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// ===== SANDBOX ADMIN ENDPOINTS =====
+
+// Browsable collections per merchant. Tokens are masked like the request
+// log; received webhook events are shared, so only the merchant's own show.
+const adminResources = (merchant) => ({
+  sessions: merchant.checkoutSessions,
+  orders: merchant.orders,
+  tokens: {
+    list: async () => (await merchant.paymentTokens.list()).map(token => maskBody(token)),
+    get: async (id) => {
+      const token = await merchant.paymentTokens.get(id);
+      return token ? maskBody(token) : null;
+    }
+  },
+  webhook_events: {
+    list: async () => (await webhookEvents.list()).filter(event => event.merchant_id === merchant.id),
+    get: async (id) => {
+      const event = await webhookEvents.get(id);
+      return event && event.merchant_id === merchant.id ? event : null;
+    }
+  },
+  webhook_deliveries: merchant.webhookDeliveries
+});
+
+const ADMIN_RESOURCES = ['sessions', 'orders', 'tokens', 'webhook_events', 'webhook_deliveries'];
+
+const unknownAdminResource = (resource) => ({
+  type: 'invalid_request',
+  code: 'not_found',
+  message: `Unknown resource ${resource}, use one of: ${ADMIN_RESOURCES.join(', ')}`,
+  param: '$.resource'
+});
+
+// Catalog product with its current stock
+const adminProduct = async (merchant, product) => {
+  const level = await merchant.inventory.getLevel(product.id);
+  return {
+    ...product,
+    price_overridden: Boolean(await merchant.catalogPrices.get(product.id)),
+    stock: {
+      on_hand: level.on_hand,
+      reserved: level.reserved,
+      available: Math.max(0, level.on_hand - level.reserved)
+    }
+  };
+};
+
+// GET /sandbox/admin/overview - Counts for every collection
+app.get('/sandbox/admin/overview', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const resources = adminResources(merchant);
+    const counts = {};
+    for (const resource of ADMIN_RESOURCES) {
+      counts[resource] = (await resources[resource].list()).length;
+    }
+
+    res.json({
+      merchant: { id: merchant.id, name: merchant.name, currency: merchant.currency },
+      counts,
+      products: merchant.catalog.size()
+    });
+  } catch (error) {
+    console.error('Admin overview error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /sandbox/admin/catalog - Products with prices and stock
+app.get('/sandbox/admin/catalog', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const products = [];
+    for (const product of merchant.catalog.list()) {
+      products.push(await adminProduct(merchant, product));
+    }
+
+    res.json({ data: products });
+  } catch (error) {
+    console.error('Admin catalog error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /sandbox/admin/catalog/:id - Change a product's price or stock on hand
+app.post('/sandbox/admin/catalog/:id', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const product = merchant.catalog.getProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        type: 'invalid_request',
+        code: 'not_found',
+        message: 'Product not found',
+        param: '$.id'
+      });
+    }
+
+    const { price, on_hand } = req.body || {};
+    if (price === undefined && on_hand === undefined) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'missing',
+        message: 'Provide price, on_hand or both',
+        param: '$.price'
+      });
+    }
+    const invalid = [['price', price], ['on_hand', on_hand]]
+      .find(([, value]) => value !== undefined && !(Number.isInteger(value) && value >= 0));
+    if (invalid) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: `${invalid[0]} must be a non-negative integer`,
+        param: `$.${invalid[0]}`
+      });
+    }
+
+    // Prices are kept across restarts; new quotes use them, existing sessions keep theirs
+    if (price !== undefined) {
+      merchant.catalog.setPrice(product.id, price);
+      await merchant.catalogPrices.set(product.id, { id: product.id, price, updated_at: new Date().toISOString() });
+    }
+    if (on_hand !== undefined) {
+      await merchant.inventory.setOnHand(product.id, on_hand);
+    }
+
+    res.json(await adminProduct(merchant, product));
+  } catch (error) {
+    console.error('Admin catalog update error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /sandbox/admin/reset - Delete all of the merchant's data
+app.post('/sandbox/admin/reset', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const deleted = await clearCollections({
+      checkout_sessions: merchant.checkoutSessions,
+      orders: merchant.orders,
+      payment_tokens: merchant.paymentTokens,
+      webhook_endpoints: merchant.webhookEndpoints,
+      webhook_deliveries: merchant.webhookDeliveries,
+      promotion_usage: merchant.promotionUsage,
+      sandbox_scenarios: merchant.sandboxScenarios,
+      scenario_events: merchant.scenarioEvents,
+      request_log: merchant.requestLogEntries,
+      catalog_prices: merchant.catalogPrices
+    });
+    Object.assign(deleted, await clearCollections({
+      webhook_events: webhookEvents,
+      idempotency_keys: idempotencyKeys
+    }, document => document.merchant_id !== merchant.id));
+
+    merchant.catalog.resetPrices();
+    await merchant.inventory.reset();
+
+    res.json({ merchant_id: merchant.id, deleted });
+  } catch (error) {
+    console.error('Admin reset error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /sandbox/admin/sessions/:id/status - Set a session's status, skipping the state machine
+app.post('/sandbox/admin/sessions/:id/status', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const session = await merchant.checkoutSessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        type: 'invalid_request',
+        code: 'not_found',
+        message: 'Checkout session not found',
+        param: '$.id'
+      });
+    }
+
+    const { status } = req.body || {};
+    if (!SESSION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: `status must be one of: ${SESSION_STATUSES.join(', ')}`,
+        param: '$.status'
+      });
+    }
+
+    // Open sessions hold stock again, completed ones take it off the shelf
+    // and any other status lets it go
+    if (['not_ready_for_payment', 'ready_for_payment'].includes(status)) {
+      await reserveStock(merchant, session);
+    } else if (status === 'completed') {
+      await merchant.inventory.commit(session.id);
+    } else {
+      await merchant.inventory.release(session.id);
+    }
+
+    session.status = status;
+    session.updated_at = new Date().toISOString();
+    await merchant.checkoutSessions.set(session.id, session);
+    publishSession(merchant, ['completed', 'canceled'].includes(status) ? status : 'updated', session);
+
+    res.json(session);
+  } catch (error) {
+    console.error('Admin session status error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /sandbox/admin/orders/:id/status - Set an order's status, skipping the lifecycle checks
+app.post('/sandbox/admin/orders/:id/status', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const order = await merchant.orders.get(req.params.id);
+    if (!order) {
+      return res.status(404).json(orderNotFound);
+    }
+
+    const { status } = req.body || {};
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: `status must be one of: ${ORDER_STATUSES.join(', ')}`,
+        param: '$.status'
+      });
+    }
+
+    const previousStatus = order.status;
+    setOrderStatus(order, status, new Date().toISOString());
+    await saveOrder(merchant, order, previousStatus);
+
+    res.json(order);
+  } catch (error) {
+    console.error('Admin order status error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /sandbox/admin/:resource - List and search (q, status, limit, offset)
+app.get('/sandbox/admin/:resource', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const { resource } = req.params;
+    if (!ADMIN_RESOURCES.includes(resource)) {
+      return res.status(404).json(unknownAdminResource(resource));
+    }
+
+    const paging = parsePaging(req.query);
+    if (paging.error) {
+      return res.status(400).json({
+        type: 'invalid_request',
+        code: 'invalid',
+        message: paging.error.message,
+        param: paging.error.param
+      });
+    }
+
+    const documents = await adminResources(merchant)[resource].list();
+    res.json(searchDocuments(documents, { q: req.query.q, status: req.query.status, ...paging }));
+  } catch (error) {
+    console.error('Admin list error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /sandbox/admin/:resource/:id - One document in full
+app.get('/sandbox/admin/:resource/:id', async (req, res) => {
+  try {
+    const { merchant } = req;
+    const { resource, id } = req.params;
+    if (!ADMIN_RESOURCES.includes(resource)) {
+      return res.status(404).json(unknownAdminResource(resource));
+    }
+
+    const document = await adminResources(merchant)[resource].get(id);
+    if (!document) {
+      return res.status(404).json({
+        type: 'invalid_request',
+        code: 'not_found',
+        message: `No ${resource} entry with id ${id}`,
+        param: '$.id'
+      });
+    }
+
+    res.json(document);
+  } catch (error) {
+    console.error('Admin retrieve error:', error);
+    res.status(500).json({
+      type: 'processing_error',
+      code: 'internal_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// ===== SANDBOX EVENT STREAM =====
+
+// GET /sandbox/events - The merchant's live activity as Server-Sent Events, filter by session_id or types
+app.get('/sandbox/events', (req, res) => {
+  const { filters, error } = parseEventFilters(req.query, req.merchant.id);
+  if (error) {
+    return res.status(400).json({
+      type: 'invalid_request',
+      code: 'invalid',
+      message: error.message,
+      param: error.param
+    });
+  }
+
+  eventStream.subscribe(req, res, filters);
+});
+
+// ===== INFO ENDPOINTS =====
+
+// GET / - Serve client interface
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'client.html'));
+});
+
+// GET /api - Server info
+app.get('/api', (req, res) => {
+  res.json({
+    name: 'ACP Sandbox',
+    version: '1.0.0',
+    description: 'Agentic Commerce Protocol Sandbox Environment',
+    api_versions: apiVersions.list(),
+    currencies: { base: currencies.base, supported: currencies.list() },
+    schemas: { validation: STRICT_SCHEMAS ? 'strict' : 'requests', documents: schemas.list() },
+    endpoints: {
+      checkout_sessions: {
+        create: 'POST /checkout_sessions',
+        update: 'POST /checkout_sessions/:id',
         retrieve: 'GET /checkout_sessions/:id',
         complete: 'POST /checkout_sessions/:id/complete',
         cancel: 'POST /checkout_sessions/:id/cancel'
       },
+      orders: {
+        retrieve: 'GET /orders/:id',
+        confirm: 'POST /orders/:id/confirm',
+        ship: 'POST /orders/:id/ship',
+        deliver: 'POST /orders/:id/deliver',
+        cancel: 'POST /orders/:id/cancel',
+        refund: 'POST /orders/:id/refund'
+      },
       delegate_payment: 'POST /agentic_commerce/delegate_payment',
-      webhooks: 'POST /webhooks'
+      product_feed: 'GET /product_feed',
+      sandbox_scenarios: {
+        create: 'POST /sandbox/scenarios',
+        list: 'GET /sandbox/scenarios',
+        retrieve: 'GET /sandbox/scenarios/:id',
+        delete: 'DELETE /sandbox/scenarios/:id',
+        clear: 'DELETE /sandbox/scenarios',
+        events: 'GET /sandbox/scenarios/events'
+      },
+      request_log: {
+        list: 'GET /sandbox/logs',
+        export: 'GET /sandbox/logs?format=jsonl',
+        clear: 'DELETE /sandbox/logs',
+        session_timeline: 'GET /sandbox/sessions/:id/timeline'
+      },
+      sandbox_events: 'GET /sandbox/events',
+      sandbox_admin: {
+        overview: 'GET /sandbox/admin/overview',
+        list: 'GET /sandbox/admin/:resource',
+        retrieve: 'GET /sandbox/admin/:resource/:id',
+        session_status: 'POST /sandbox/admin/sessions/:id/status',
+        order_status: 'POST /sandbox/admin/orders/:id/status',
+        catalog: 'GET /sandbox/admin/catalog',
+        update_product: 'POST /sandbox/admin/catalog/:id',
+        reset: 'POST /sandbox/admin/reset'
+      },
+      webhooks: {
+        receive: 'POST /webhooks',
+        events: 'GET /webhooks/events'
+      },
+      webhook_endpoints: {
+        create: 'POST /webhook_endpoints',
+        list: 'GET /webhook_endpoints',
+        delete: 'DELETE /webhook_endpoints/:id'
+      },
+      webhook_deliveries: {
+        list: 'GET /webhook_deliveries',
+        retrieve: 'GET /webhook_deliveries/:id'
+      }
     },
+    test_cards: TEST_CARDS,
+    test_amounts: TEST_AMOUNTS,
     docs: 'https://github.com/openai/agentic-commerce-protocol'
   });
 });
 
 // GET /health - Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    sessions: checkoutSessions.size,
-    orders: orders.size,
-    tokens: paymentTokens.size
+app.get('/health', async (req, res) => {
+  try {
+    // Totals across every merchant
+    const totals = { sessions: 0, orders: 0, tokens: 0, sessions_expired: 0, tokens_expired: 0 };
+    for (const merchant of merchants) {
+      const expired = await merchant.expiry.stats();
+      totals.sessions += await merchant.checkoutSessions.count();
+      totals.orders += await merchant.orders.count();
+      totals.tokens += await merchant.paymentTokens.count();
+      totals.sessions_expired += expired.sessions_expired;
+      totals.tokens_expired += expired.tokens_expired;
+    }
+
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      storage: store.driver,
+      merchants: merchants.length,
+      sessions: totals.sessions,
+      orders: totals.orders,
+      tokens: totals.tokens,
+      expired: {
+        sessions_expired: totals.sessions_expired,
+        tokens_expired: totals.tokens_expired
+      },
+      event_stream: eventStream.stats()
+    });
+  } catch (error) {
+    console.error('Health check error:', error);
+    res.status(503).json({
+      status: 'unhealthy',
+      timestamp: new Date().toISOString(),
+      storage: store.driver
+    });
+  }
+});
+
+// Malformed JSON bodies get an ACP error instead of Express's HTML page
+app.use((error, req, res, next) => {
+  if (error.type !== 'entity.parse.failed') {
+    return next(error);
+  }
+  res.status(400).json({
+    type: 'invalid_request',
+    code: 'invalid',
+    message: 'Request body is not valid JSON'
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 ACP Sandbox Server running on port ${PORT}`);
-  console.log(`📖 Documentation: http://localhost:${PORT}/`);
-  console.log(`💚 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔑 Required headers:`);
-  console.log(`   Authorization: Bearer <token>`);
-  console.log(`   API-Version: 2025-09-29`);
+// Start server once storage is migrated
+store.init().then(async () => {
+  let resumed = 0;
+  for (const merchant of merchants) {
+    await merchant.inventory.seed();
+    // Prices edited from the admin dashboard
+    for (const override of await merchant.catalogPrices.list()) {
+      if (merchant.catalog.getProduct(override.id)) {
+        merchant.catalog.setPrice(override.id, override.price);
+      }
+    }
+    merchant.expiry.start();
+    merchant.requestLog.start();
+    resumed += await merchant.webhooks.resume();
+  }
+  if (resumed > 0) {
+    console.log(`📨 Resumed ${resumed} pending webhook deliveries`);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`🚀 ACP Sandbox Server running on port ${PORT}`);
+    console.log(`📖 Documentation: http://localhost:${PORT}/`);
+    console.log(`💚 Health check: http://localhost:${PORT}/health`);
+    console.log(`💾 Storage driver: ${store.driver}`);
+    console.log(`🏪 Merchants: ${merchants.map(merchant => merchant.id).join(', ')}`);
+    console.log(`📐 Schema validation: ${STRICT_SCHEMAS ? 'requests and responses (strict)' : 'requests'}`);
+    console.log(`🔑 Required headers:`);
+    console.log(`   Authorization: Bearer <token>`);
+    console.log(`   API-Version: ${apiVersions.list().map(version => version.version).join(' | ')}`);
+  });
+}).catch((error) => {
+  console.error('Failed to initialize storage:', error);
+  process.exit(1);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -68,7 +68,7 @@ const testPaymentMethod = {
   virtual: false,
   number: '4242424242424242',
   exp_month: '12',
-  exp_year: '2025',
+  exp_year: String(new Date().getFullYear() + 3),
   name: 'Jane Smith',
   cvc: '123',
   checks_performed: ['avs', 'cvv'],